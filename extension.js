@@ -12,12 +12,24 @@ import Clutter from 'gi://Clutter';
 import St from 'gi://St';
 
 import { WorkspaceIndicatorManager } from './lib/workspaceIndicator.js';
-import { WindowHighlighter, DisplayHighlighter } from './lib/highlightOverlay.js';
+import { WindowHighlighter, DisplayHighlighter, FrameHighlighter } from './lib/highlightOverlay.js';
 import { PopupBanner } from './lib/popupBanner.js';
+import { WorkspaceSwitcher } from './lib/workspaceSwitcher.js';
 import { WallpaperOverlayManager } from './lib/wallpaperOverlay.js';
+import { StateStore } from './lib/stateStore.js';
+import { MonitorProfiles } from './lib/monitorProfiles.js';
+import { WorkspaceHistory } from './lib/workspaceHistory.js';
+import { WorkspaceSwipeGesture } from './lib/swipeGesture.js';
+import { Scratchpad, DEFAULT_SCRATCHPAD } from './lib/scratchpad.js';
+import { DBusService } from './lib/dbusService.js';
+import { AppRules } from './lib/appRules.js';
+import { TilingManager, LAYOUTS } from './lib/tiling.js';
+import { findAdjacentMonitor, findNearestInDirection } from './lib/monitorLayout.js';
+import { MAX_WORKSPACES, DIGIT_WORKSPACES, getWorkspaceName } from './lib/workspaceLabels.js';
 
 // System keybinding schema
 const WM_KEYBINDINGS_SCHEMA = 'org.gnome.desktop.wm.keybindings';
+const WM_PREFERENCES_SCHEMA = 'org.gnome.desktop.wm.preferences';
 const INTERFACE_SCHEMA = 'org.gnome.desktop.interface';
 const MUTTER_SCHEMA = 'org.gnome.mutter';
 
@@ -28,9 +40,40 @@ const DEBUG_LOG_PATH = '/tmp/mmw-debug.log';
 const OFFSCREEN_X = -20000;
 const OFFSCREEN_Y = -20000;
 
+// Delay before writing persisted state after a change (coalesces bursts)
+const STATE_SAVE_DELAY_MS = 1000;
+
+// Directions of the directional focus/move and frame keybindings
+const DIRECTIONS = ['left', 'right', 'up', 'down'];
+
+// Delay before re-tiling after a change (lets swaps and placement finish moving windows)
+const RETILE_DELAY_MS = 100;
+
+// Master ratio step for the tiling keybindings
+const MASTER_RATIO_STEP = 0.05;
+
+// Frame edge step for the frame resize keybindings
+const FRAME_RESIZE_STEP = 0.05;
+
+// Tiling keybindings (unbound by default)
+const TILING_KEYBINDINGS = [
+    'mmw-cycle-layout',
+    'mmw-master-ratio-increase', 'mmw-master-ratio-decrease',
+    'mmw-master-count-increase', 'mmw-master-count-decrease',
+    'mmw-toggle-floating',
+    'mmw-frame-split-horizontal', 'mmw-frame-split-vertical', 'mmw-frame-remove',
+    ...DIRECTIONS.map(direction => `mmw-frame-focus-${direction}`),
+    ...DIRECTIONS.map(direction => `mmw-frame-resize-${direction}`),
+];
+
+// How long after enable() new windows are matched against persisted window records
+// (covers session restore after login; later windows are placed normally)
+const RESTORE_MATCH_PERIOD_MS = 60000;
+
 export default class MultiMonitorsWorkspaceExtension extends Extension {
     _settings = null;
     _wmSettings = null;
+    _wmPrefsSettings = null;
     _interfaceSettings = null;
     _mutterSettings = null;
     _debugMode = false;
@@ -69,13 +112,57 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
     // Highlight overlays
     _windowHighlighter = null;
     _displayHighlighter = null;
+    _frameHighlighter = null;
+
+    // Touchpad swipe cycling workspaces (workspace-cycle-gesture setting)
+    _swipeGesture = null;
 
     // Popup banner for workspace/display changes
     _popupBanner = null;
 
+    // Thumbnail popup picking the workspace of a monitor (keyboard)
+    _workspaceSwitcher = null;
+
+    // D-Bus control interface (io.github.namake_taro.NamakeWM)
+    _dbusService = null;
+
+    // Last monitor reported by the FocusedMonitorChanged D-Bus signal
+    _focusedMonitor = -1;
+
+    // Application rules for new windows (app-rules setting)
+    _appRules = null;
+
+    // Per-workspace tiling layouts (enable-tiling setting)
+    _tilingManager = null;
+
+    // wsIndex -> FrameTree of the frames layout (kept across disable/enable, like profiles)
+    _frameTrees = new Map();
+
     // Wallpaper overlay manager for per-workspace wallpapers
     _wallpaperManager = null;
 
+    // Persisted state (mapping and window placement across shell restarts)
+    _stateStore = null;
+
+    // Window records from persisted state not yet matched to a window
+    _restoredWindowRecords = [];
+
+    // Per-monitor-layout profiles (which WS each physical monitor showed)
+    _monitorProfiles = new MonitorProfiles();
+
+    // Per-monitor history of displayed workspaces (kept across disable/enable, like profiles)
+    _workspaceHistory = new WorkspaceHistory();
+
+    // Scratchpad windows, hidden on the workspace past the numbered ones (kept across disable/enable)
+    _scratchpad = new Scratchpad();
+
+    // monitorIndex -> identity (connector/EDID) of the current layout
+    _monitorIdentities = new Map();
+
+    // windowId -> { window, monitorKey, wsIndex, relX, relY, width, height } for secondary windows
+    // Mutter relocates windows before monitors-changed fires, so unplug evacuation reads this
+    _windowMonitorSnapshot = new Map();
+
     // Timer management for defensive cleanup
     _pendingTimeoutIds = new Set();
     _pointerRestoreTimeoutIds = [];
@@ -84,12 +171,16 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
     _animationRestoreTimeoutId = null;
     _restoreWindowsTimeoutId = null;
     _sessionModeTimeoutId = null;
+    _stateSaveTimeoutId = null;
+    _restoreMatchTimeoutId = null;
+    _retileTimeoutId = null;
 
     enable() {
         console.log('[MultiMonitorsWorkspace] Enabling extension...');
 
         this._settings = this.getSettings();
         this._wmSettings = new Gio.Settings({ schema_id: WM_KEYBINDINGS_SCHEMA });
+        this._wmPrefsSettings = new Gio.Settings({ schema_id: WM_PREFERENCES_SCHEMA });
         this._interfaceSettings = new Gio.Settings({ schema_id: INTERFACE_SCHEMA });
         this._mutterSettings = new Gio.Settings({ schema_id: MUTTER_SCHEMA });
 
@@ -123,9 +214,28 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             this._initDebugLog();
         }
 
+        this._stateStore = new StateStore(this.metadata.uuid);
+        this._appRules = new AppRules(this._settings);
+        this._tilingManager = new TilingManager(
+            this._settings, window => this._getWindowId(window), this._frameTrees);
+
         this._updateWorkspaceKeybindingSettings();
         this._overrideSystemKeybindings();
         this._initializeMapping();
+
+        // Leave GNOME's own names alone until workspace names are configured here
+        if (this._settings.get_strv('workspace-names').some(name => name.trim())) {
+            this._syncGnomeWorkspaceNames();
+        }
+
+        // No in-memory mapping (shell restart, re-login): fall back to persisted state
+        if (this._savedMappingBeforeDisable.size === 0) {
+            this._restorePersistedState();
+        }
+        // Scratchpad windows were given back to the numbered workspaces on disable
+        this._rehideScratchpadWindows();
+        this._snapshotWindowMonitors();
+
         this._registerKeybindings();
         this._connectSignals();
 
@@ -134,16 +244,37 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
 
         // Create workspace indicator in top bar (if enabled in settings)
         if (this._settings.get_boolean('show-workspace-indicator')) {
-            this._indicatorManager = new WorkspaceIndicatorManager();
+            this._indicatorManager = this._createIndicatorManager();
             this._indicatorManager.create(this._monitorWorkspaceMap);
         }
 
         // Create highlight overlays
         this._windowHighlighter = new WindowHighlighter(this._settings);
         this._displayHighlighter = new DisplayHighlighter(this._settings);
+        this._frameHighlighter = new FrameHighlighter(this._settings);
 
         // Create popup banner
-        this._popupBanner = new PopupBanner(this._settings);
+        this._popupBanner = new PopupBanner(this._settings, {
+            getWorkspaceMap: () => this._monitorWorkspaceMap,
+            getWindowCount: ws => this._getWorkspaceMembers(ws).length,
+            getWorkspaceWindows: ws => this._getVisibleWorkspaceWindows(ws),
+            getMonitorIdentity: monitor => this._monitorIdentities.get(monitor),
+        });
+
+        // Create workspace switcher popup
+        this._workspaceSwitcher = new WorkspaceSwitcher(this._settings, {
+            getWorkspaceMap: () => this._monitorWorkspaceMap,
+            getWorkspaceCount: () => this._getWorkspaceCount(),
+            getThumbnailLayout: (ws, monitor) => this._getWorkspaceThumbnailLayout(ws, monitor),
+            switchWorkspace: (ws, monitor) => this._switchWorkspace(ws, monitor, false),
+        });
+
+        // Touchpad gesture for next/previous workspace
+        this._swipeGesture = new WorkspaceSwipeGesture(this._settings, forward => this._cycleWorkspace(forward));
+
+        // Export D-Bus control interface
+        this._dbusService = this._createDBusService();
+        this._dbusService.export();
 
         // Create wallpaper overlay manager (always create for settings monitoring)
         console.log('[MultiMonitorsWorkspace] Creating WallpaperOverlayManager');
@@ -172,12 +303,17 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
     disable() {
         console.log('[MultiMonitorsWorkspace] Disabling extension...');
 
+        // Persist state while windows are still on their monitors
+        this._saveState();
+
         // Restore windows to their logical workspaces before disabling
+        this._releaseScratchpadWindows();
         this._restoreWindowsToLogicalWorkspaces();
 
         this._disconnectSignals();
         this._unregisterKeybindings();
         this._restoreSystemKeybindings();
+        this._restoreGnomeWorkspaceNames();
         this._hideOsd();
 
         // Destroy workspace indicator
@@ -195,6 +331,10 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             this._displayHighlighter.destroy();
             this._displayHighlighter = null;
         }
+        if (this._frameHighlighter) {
+            this._frameHighlighter.destroy();
+            this._frameHighlighter = null;
+        }
 
         // Destroy popup banner
         if (this._popupBanner) {
@@ -202,6 +342,37 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             this._popupBanner = null;
         }
 
+        // Destroy workspace switcher (releases its grab if open)
+        if (this._workspaceSwitcher) {
+            this._workspaceSwitcher.destroy();
+            this._workspaceSwitcher = null;
+        }
+
+        // Stop the touchpad gesture (GNOME's own workspace swipe comes back)
+        if (this._swipeGesture) {
+            this._swipeGesture.destroy();
+            this._swipeGesture = null;
+        }
+
+        // Remove D-Bus control interface
+        if (this._dbusService) {
+            this._dbusService.destroy();
+            this._dbusService = null;
+        }
+        this._focusedMonitor = -1;
+
+        // Stop watching application rules
+        if (this._appRules) {
+            this._appRules.destroy();
+            this._appRules = null;
+        }
+
+        // Drop tiling order (windows keep their last tiled geometry)
+        if (this._tilingManager) {
+            this._tilingManager.destroy();
+            this._tilingManager = null;
+        }
+
         // Destroy wallpaper overlay manager
         if (this._wallpaperManager) {
             this._wallpaperManager.destroy();
@@ -215,10 +386,15 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         // Note: Do NOT clear _savedWindowPositions - it's needed for correct window placement after unlock
         this._recentlyProcessedWindows.clear();
         this._windowsPendingPlacement.clear();
+        this._restoredWindowRecords = [];
+        this._windowMonitorSnapshot.clear();
+        this._stateStore = null;
         // Note: Do NOT clear _savedMappingBeforeDisable - it's needed for restore after enable
         // Note: Do NOT clear _lastWindowPerWorkspace - it's useful for focus restoration after unlock
+        // Note: Do NOT clear _monitorProfiles - per-layout mappings outlive enable/disable cycles
         this._interfaceSettings = null;
         this._wmSettings = null;
+        this._wmPrefsSettings = null;
         this._mutterSettings = null;
         this._settings = null;
 
@@ -230,7 +406,6 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
     _restoreWindowsToLogicalWorkspaces() {
         const nMonitors = global.display.get_n_monitors();
         const primaryMonitor = global.display.get_primary_monitor();
-        const primaryGeo = global.display.get_monitor_geometry(primaryMonitor);
 
         console.log('[MultiMonitorsWorkspace] Moving secondary windows to their logical WS...');
 
@@ -248,25 +423,12 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             const windowsOnMonitor = this._getWindowsOnMonitor(monitorIndex);
             const logicalWs = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
 
-            // Ensure target workspace exists
-            this._ensureWorkspaceExists(logicalWs);
-            const logicalWsObj = global.workspace_manager.get_workspace_by_index(logicalWs);
-
             for (const window of windowsOnMonitor) {
                 const title = window.get_title?.() ?? 'unknown';
                 const rect = window.get_frame_rect();
-                const relX = rect.x - monitorGeo.x;
-                const relY = rect.y - monitorGeo.y;
-
-                // Move to primary coordinates
-                const newX = primaryGeo.x + relX;
-                const newY = primaryGeo.y + relY;
-                window.move_resize_frame(false, newX, newY, rect.width, rect.height);
 
-                // Assign to logical WS (GNOME's global WS)
-                if (logicalWsObj) {
-                    window.change_workspace(logicalWsObj);
-                }
+                this._parkWindowOnWorkspace(window, logicalWs,
+                    rect.x - monitorGeo.x, rect.y - monitorGeo.y, rect.width, rect.height);
 
                 windowCount++;
                 console.log(`[MultiMonitorsWorkspace] Moved "${title}" from M${monitorIndex} -> primary, WS${logicalWs}`);
@@ -276,37 +438,118 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         console.log(`[MultiMonitorsWorkspace] Moved ${windowCount} windows to logical WS`);
     }
 
+    // Hide a window on its logical WS: primary coordinates, same position relative to the monitor
+    // Loading the WS onto any monitor later puts it back (secondary: relative to primary,
+    // primary: via _savedWindowPositions)
+    _parkWindowOnWorkspace(window, wsIndex, relX, relY, width, height) {
+        const primaryMonitor = global.display.get_primary_monitor();
+        const primaryGeo = global.display.get_monitor_geometry(primaryMonitor);
+
+        this._ensureWorkspaceExists(wsIndex);
+        const wsObj = global.workspace_manager.get_workspace_by_index(wsIndex);
+
+        window.move_resize_frame(false, primaryGeo.x + relX, primaryGeo.y + relY, width, height);
+        window.move_to_monitor(primaryMonitor);
+
+        // Assign to logical WS (GNOME's global WS)
+        if (wsObj) {
+            window.change_workspace(wsObj);
+        }
+
+        this._savedWindowPositions.set(this._getWindowId(window), { relX, relY, wsIndex });
+    }
+
     // Update workspace keybinding settings based on modifier key
     _updateWorkspaceKeybindingSettings() {
         const modifier = this._settings.get_string('workspace-modifier');
         const modKey = modifier === 'Super' ? '<Super>' : modifier === 'Ctrl' ? '<Control>' : '<Alt>';
+        // Move-and-follow adds the modifier left over after Mod and the layer key
+        const followKey = modifier === 'Alt' ? '<Control>' : '<Alt>';
+        const count = this._getWorkspaceCount();
 
         console.log(`[MultiMonitorsWorkspace] Setting workspace modifier to: ${modifier}`);
 
-        // Update switch workspace keybindings
-        for (let i = 0; i <= 9; i++) {
-            const keyName = `mmw-switch-ws-${i}`;
-            const keyNum = (i + 1) % 10; // 0->1, 1->2, ..., 9->0
-            const binding = `${modKey}${keyNum}`;
-            this._settings.set_strv(keyName, [binding]);
+        // Update switch/move keybindings; keys past the workspace count are cleared
+        for (let i = 0; i < MAX_WORKSPACES; i++) {
+            const [prefix, key] = this._getWorkspaceKeyCombo(i, modifier);
+            this._settings.set_strv(`mmw-switch-ws-${i}`, i < count ? [`${modKey}${prefix}${key}`] : []);
+            this._settings.set_strv(`mmw-move-ws-${i}`, i < count ? [`${modKey}${prefix}<Shift>${key}`] : []);
+            // No follow keys for the F-key layer: they would include Ctrl+Alt+F (VT switch)
+            const hasFollowKey = i < count && i < DIGIT_WORKSPACES * 2;
+            this._settings.set_strv(`mmw-move-follow-ws-${i}`, hasFollowKey ? [`${modKey}${prefix}${followKey}<Shift>${key}`] : []);
         }
 
-        // Update move window keybindings
-        for (let i = 0; i <= 9; i++) {
-            const keyName = `mmw-move-ws-${i}`;
-            const keyNum = (i + 1) % 10;
-            const binding = `${modKey}<Shift>${keyNum}`;
-            this._settings.set_strv(keyName, [binding]);
+        console.log(`[MultiMonitorsWorkspace] Keybindings updated for ${count} workspaces: ${modKey}1-0 for switch, ${modKey}<Shift>1-0 for move`);
+    }
+
+    // Key (and extra modifier) for a workspace, used with the workspace modifier
+    // WS0-9: 1~9,0 / WS10-19: Layer+1~9,0 / WS20-31: Layer+F1~F12
+    // Layer is Super (Ctrl when the workspace modifier is Super itself)
+    _getWorkspaceKeyCombo(wsIndex, modifier) {
+        const layerKey = modifier === 'Super' ? '<Control>' : '<Super>';
+
+        if (wsIndex < DIGIT_WORKSPACES) {
+            return ['', String((wsIndex + 1) % 10)]; // 0->1, 1->2, ..., 9->0
+        }
+        if (wsIndex < DIGIT_WORKSPACES * 2) {
+            return [layerKey, String((wsIndex - DIGIT_WORKSPACES + 1) % 10)];
+        }
+        return [layerKey, `F${wsIndex - DIGIT_WORKSPACES * 2 + 1}`];
+    }
+
+    // Push workspace names to GNOME (org.gnome.desktop.wm.preferences workspace-names)
+    // so the overview and other GNOME UI show the same names
+    _syncGnomeWorkspaceNames() {
+        const names = this._settings.get_strv('workspace-names').map(name => name.trim());
+        while (names.length > 0 && names[names.length - 1] === '') {
+            names.pop();
+        }
+
+        const current = this._wmPrefsSettings.get_strv('workspace-names');
+        if (current.length === names.length && current.every((name, i) => name === names[i])) {
+            return;
+        }
+
+        // Keep GNOME's own names for disable (a save from an earlier sync is kept)
+        if (this._settings.get_string('saved-gnome-workspace-names') === '') {
+            this._settings.set_string('saved-gnome-workspace-names', JSON.stringify(current));
+            console.log('[MultiMonitorsWorkspace] Saved GNOME workspace names');
+        }
+
+        this._wmPrefsSettings.set_strv('workspace-names', names);
+        console.log(`[MultiMonitorsWorkspace] Workspace names synced to GNOME: [${names.join(', ')}]`);
+    }
+
+    _restoreGnomeWorkspaceNames() {
+        const savedJson = this._settings.get_string('saved-gnome-workspace-names');
+        if (!savedJson) return;
+
+        try {
+            const savedNames = JSON.parse(savedJson);
+            if (Array.isArray(savedNames)) {
+                this._wmPrefsSettings.set_strv('workspace-names', savedNames);
+            }
+            this._settings.set_string('saved-gnome-workspace-names', '');
+            console.log('[MultiMonitorsWorkspace] GNOME workspace names restored');
+        } catch (e) {
+            console.error('[MultiMonitorsWorkspace] Failed to restore GNOME workspace names:', e);
         }
+    }
 
-        console.log(`[MultiMonitorsWorkspace] Keybindings updated: ${modKey}1-0 for switch, ${modKey}<Shift>1-0 for move`);
+    // Number of workspaces in use (setting, but never fewer than monitors)
+    _getWorkspaceCount() {
+        const count = this._settings.get_int('workspace-count');
+        const nMonitors = global.display.get_n_monitors();
+        return Math.min(Math.max(count, nMonitors, 1), MAX_WORKSPACES);
     }
 
     _overrideSystemKeybindings() {
         const savedBindings = {};
         let hasConflicts = false;
+        const count = this._getWorkspaceCount();
 
-        for (let i = 0; i <= 9; i++) {
+        // GNOME only has switch/move-to-workspace-1..12; missing keys are skipped below
+        for (let i = 0; i < count; i++) {
             const extKey = `mmw-switch-ws-${i}`;
             const sysKey = `switch-to-workspace-${i + 1}`;
 
@@ -337,7 +580,7 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         }
 
         // Check move-to-workspace-N conflicts
-        for (let i = 0; i <= 9; i++) {
+        for (let i = 0; i < count; i++) {
             const extKey = `mmw-move-ws-${i}`;
             const sysKey = `move-to-workspace-${i + 1}`;
 
@@ -368,7 +611,15 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         }
 
         if (hasConflicts) {
-            this._settings.set_string('saved-system-keybindings', JSON.stringify(savedBindings));
+            // Keep bindings saved by an earlier call (workspace count changed while enabled)
+            let previousBindings = {};
+            try {
+                previousBindings = JSON.parse(this._settings.get_string('saved-system-keybindings') || '{}');
+            } catch (e) {
+                // Corrupt value, overwrite
+            }
+            this._settings.set_string('saved-system-keybindings',
+                JSON.stringify({ ...previousBindings, ...savedBindings }));
             console.log('[MultiMonitorsWorkspace] Saved system keybindings');
 
             for (const sysKey of Object.keys(savedBindings)) {
@@ -492,14 +743,18 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
 
         console.log(`[MultiMonitorsWorkspace] Initializing for ${nMonitors} monitors, primary=M${primaryMonitor}, currentWS=${currentWs}`);
 
+        this._monitorIdentities = this._monitorProfiles.getMonitorIdentities();
+
         // Log all monitor geometries for debugging
         for (let i = 0; i < nMonitors; i++) {
             const geo = global.display.get_monitor_geometry(i);
-            console.log(`[MultiMonitorsWorkspace] Monitor M${i}: x=${geo.x}, y=${geo.y}, w=${geo.width}, h=${geo.height}`);
+            const identity = this._monitorIdentities.get(i)?.key ?? '?';
+            console.log(`[MultiMonitorsWorkspace] Monitor M${i}: x=${geo.x}, y=${geo.y}, w=${geo.width}, h=${geo.height}, id=${identity}`);
         }
 
         // Ensure we have enough workspaces
-        this._ensureWorkspaceExists(9);
+        const count = this._getWorkspaceCount();
+        this._ensureWorkspaceExists(count - 1);
 
         // Initialize: all monitors start showing the current global workspace
         // Then assign different workspaces based on which windows are on each monitor
@@ -510,7 +765,7 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             } else {
                 // Secondary monitors: check if there are windows on them
                 // For now, assign sequential workspaces
-                const wsIndex = (currentWs + i) % 10;
+                const wsIndex = (currentWs + i) % count;
                 this._monitorWorkspaceMap.set(i, wsIndex);
             }
         }
@@ -519,8 +774,10 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
     }
 
     _registerKeybindings() {
-        // Register workspace switch keybindings (Alt+1-9,0)
-        for (let i = 0; i <= 9; i++) {
+        const count = this._getWorkspaceCount();
+
+        // Register workspace switch keybindings (Alt+1-9,0, then Alt+Super+1-9,0 and Alt+Super+F1-F12)
+        for (let i = 0; i < count; i++) {
             const keyName = `mmw-switch-ws-${i}`;
             const workspaceIndex = i;
             Main.wm.addKeybinding(
@@ -529,13 +786,45 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
                 Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
                 Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
                 () => {
-                    this._switchWorkspace(workspaceIndex);
+                    this._switchWorkspaceFromKey(workspaceIndex);
                 }
             );
         }
 
-        // Register window move keybindings (Alt+Shift+1-9,0)
-        for (let i = 0; i <= 9; i++) {
+        // Register next/previous workspace keybindings
+        Main.wm.addKeybinding(
+            'mmw-switch-next',
+            this._settings,
+            Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            () => {
+                this._cycleWorkspace(true);
+            }
+        );
+
+        Main.wm.addKeybinding(
+            'mmw-switch-prev',
+            this._settings,
+            Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            () => {
+                this._cycleWorkspace(false);
+            }
+        );
+
+        // Register back-and-forth keybinding
+        Main.wm.addKeybinding(
+            'mmw-switch-previous',
+            this._settings,
+            Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            () => {
+                this._switchToPreviousWorkspace();
+            }
+        );
+
+        // Register window move keybindings (same keys with Shift)
+        for (let i = 0; i < count; i++) {
             const keyName = `mmw-move-ws-${i}`;
             const workspaceIndex = i;
             Main.wm.addKeybinding(
@@ -549,6 +838,21 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             );
         }
 
+        // Register move-and-follow keybindings (move keys plus the follow key)
+        for (let i = 0; i < count; i++) {
+            const keyName = `mmw-move-follow-ws-${i}`;
+            const workspaceIndex = i;
+            Main.wm.addKeybinding(
+                keyName,
+                this._settings,
+                Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+                Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+                () => {
+                    this._moveWindowToWorkspaceAndFollow(workspaceIndex);
+                }
+            );
+        }
+
         // Register warp-to-monitor keybindings (up to 8 monitors)
         for (let i = 0; i < 8; i++) {
             const keyName = `mmw-warp-to-monitor-${i}`;
@@ -559,16 +863,22 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
                 Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
                 Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
                 () => {
-                    this._warpPointerToMonitor(monitorSortIndex);
-                    // Show popup banner
-                    if (this._popupBanner) {
-                        const wsIndex = this._monitorWorkspaceMap.get(monitorSortIndex) ?? 0;
-                        this._popupBanner.show(monitorSortIndex, wsIndex);
-                    }
+                    this._warpToMonitor(monitorSortIndex);
                 }
             );
         }
 
+        // Register workspace switcher keybinding
+        Main.wm.addKeybinding(
+            'mmw-workspace-switcher',
+            this._settings,
+            Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+            Shell.ActionMode.NORMAL,
+            () => {
+                this._workspaceSwitcher?.open(this._getMonitorAtPointer());
+            }
+        );
+
         // Register cycle focus keybindings
         Main.wm.addKeybinding(
             'mmw-cycle-focus-forward',
@@ -611,21 +921,113 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             }
         );
 
+        // Register scratchpad keybindings
+        Main.wm.addKeybinding(
+            'mmw-scratchpad-move',
+            this._settings,
+            Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+            Shell.ActionMode.NORMAL,
+            () => {
+                this._toggleScratchpadWindow();
+            }
+        );
+
+        Main.wm.addKeybinding(
+            'mmw-scratchpad-toggle',
+            this._settings,
+            Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+            Shell.ActionMode.NORMAL,
+            () => {
+                this._toggleScratchpad();
+            }
+        );
+
+        // Register next wallpaper keybinding (slideshow on the monitor under the pointer)
+        Main.wm.addKeybinding(
+            'mmw-wallpaper-next',
+            this._settings,
+            Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            () => {
+                this._wallpaperManager?.nextWallpaper(this._getMonitorAtPointer());
+            }
+        );
+
+        // Register directional focus/move keybindings
+        for (const direction of DIRECTIONS) {
+            Main.wm.addKeybinding(
+                `mmw-focus-${direction}`,
+                this._settings,
+                Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+                Shell.ActionMode.NORMAL,
+                () => this._focusDirection(direction)
+            );
+            Main.wm.addKeybinding(
+                `mmw-move-window-${direction}`,
+                this._settings,
+                Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+                Shell.ActionMode.NORMAL,
+                () => this._moveWindowDirection(direction)
+            );
+        }
+
+        // Register tiling keybindings
+        const tilingKeybindings = {
+            'mmw-cycle-layout': () => this._cycleLayout(),
+            'mmw-master-ratio-increase': () => this._adjustMasterRatio(MASTER_RATIO_STEP),
+            'mmw-master-ratio-decrease': () => this._adjustMasterRatio(-MASTER_RATIO_STEP),
+            'mmw-master-count-increase': () => this._adjustMasterCount(1),
+            'mmw-master-count-decrease': () => this._adjustMasterCount(-1),
+            'mmw-toggle-floating': () => this._toggleFloating(),
+            'mmw-frame-split-horizontal': () => this._splitFrame('horizontal'),
+            'mmw-frame-split-vertical': () => this._splitFrame('vertical'),
+            'mmw-frame-remove': () => this._removeFrame(),
+        };
+        for (const direction of DIRECTIONS) {
+            tilingKeybindings[`mmw-frame-focus-${direction}`] = () => this._focusFrame(direction);
+            tilingKeybindings[`mmw-frame-resize-${direction}`] = () => this._resizeFrame(direction);
+        }
+        for (const [keyName, handler] of Object.entries(tilingKeybindings)) {
+            Main.wm.addKeybinding(
+                keyName,
+                this._settings,
+                Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+                Shell.ActionMode.NORMAL,
+                handler
+            );
+        }
+
         console.log('[MultiMonitorsWorkspace] Keybindings registered');
     }
 
     _unregisterKeybindings() {
-        for (let i = 0; i <= 9; i++) {
+        // All possible keys: the workspace count may have changed since registering
+        for (let i = 0; i < MAX_WORKSPACES; i++) {
             Main.wm.removeKeybinding(`mmw-switch-ws-${i}`);
             Main.wm.removeKeybinding(`mmw-move-ws-${i}`);
+            Main.wm.removeKeybinding(`mmw-move-follow-ws-${i}`);
         }
         for (let i = 0; i < 8; i++) {
             Main.wm.removeKeybinding(`mmw-warp-to-monitor-${i}`);
         }
+        Main.wm.removeKeybinding('mmw-switch-next');
+        Main.wm.removeKeybinding('mmw-switch-prev');
+        Main.wm.removeKeybinding('mmw-switch-previous');
+        Main.wm.removeKeybinding('mmw-workspace-switcher');
         Main.wm.removeKeybinding('mmw-cycle-focus-forward');
         Main.wm.removeKeybinding('mmw-cycle-focus-backward');
         Main.wm.removeKeybinding('mmw-swap-window-forward');
         Main.wm.removeKeybinding('mmw-swap-window-backward');
+        Main.wm.removeKeybinding('mmw-scratchpad-move');
+        Main.wm.removeKeybinding('mmw-scratchpad-toggle');
+        Main.wm.removeKeybinding('mmw-wallpaper-next');
+        for (const direction of DIRECTIONS) {
+            Main.wm.removeKeybinding(`mmw-focus-${direction}`);
+            Main.wm.removeKeybinding(`mmw-move-window-${direction}`);
+        }
+        for (const keyName of TILING_KEYBINDINGS) {
+            Main.wm.removeKeybinding(keyName);
+        }
     }
 
     // Cycle focus within current monitor's workspace
@@ -692,7 +1094,10 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
     }
 
     // Swap current window's position and size with the next/previous window
+    // On a tiled workspace: swap with the next/previous window in layout order
     _swapWindowPosition(forward) {
+        if (this._swapTiledWindow(forward)) return;
+
         const currentMonitor = this._getMonitorAtPointer();
         const currentWs = this._monitorWorkspaceMap.get(currentMonitor) ?? 0;
 
@@ -732,8 +1137,12 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             targetIndex = (currentIndex - 1 + windows.length) % windows.length;
         }
 
-        const targetWindow = windows[targetIndex];
+        this._swapWindowGeometry(focusedWindow, windows[targetIndex]);
+    }
 
+    // Exchange the position, size and maximized/fullscreen state of two windows
+    // focusedWindow keeps focus (and the pointer, with warp-pointer-to-focus)
+    _swapWindowGeometry(focusedWindow, targetWindow) {
         // Save maximized/fullscreen states (to swap them)
         const currentMaximized = focusedWindow.get_maximized();
         const targetMaximized = targetWindow.get_maximized();
@@ -813,6 +1222,7 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
                 if (win.get_window_type() !== Meta.WindowType.NORMAL) return false;
                 if (win.is_hidden()) return false;
                 if (win.minimized) return false;
+                if (this._isScratchpadWindow(win)) return false;
 
                 const rect = win.get_frame_rect();
                 const centerX = rect.x + rect.width / 2;
@@ -837,6 +1247,17 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             });
     }
 
+    // Warp pointer to monitor and show its banner (keybinding / D-Bus)
+    _warpToMonitor(monitorIndex) {
+        this._warpPointerToMonitor(monitorIndex);
+
+        // Show popup banner
+        if (this._popupBanner && monitorIndex < global.display.get_n_monitors()) {
+            const wsIndex = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+            this._popupBanner.show(monitorIndex, wsIndex);
+        }
+    }
+
     // Warp pointer to monitor and focus last used window (by system monitor index)
     _warpPointerToMonitor(monitorIndex) {
         const nMonitors = global.display.get_n_monitors();
@@ -899,6 +1320,7 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         if (this._indicatorManager) {
             this._indicatorManager.updateHighlight();
         }
+        this._updateFocusedMonitor(monitorIndex);
     }
 
     // Focus window at position - optimized version that only checks windows on specific monitor
@@ -1061,26 +1483,29 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         }
     }
 
-    // Move the focused window to target workspace (without switching display)
-    _moveWindowToWorkspace(targetWs) {
+    // Move the focused window (or the given one) to target workspace (without switching display)
+    // Returns false if there is no window to move
+    _moveWindowToWorkspace(targetWs, window = null) {
         // Save mouse pointer position before any window operations
         const [savedPointerX, savedPointerY] = global.get_pointer();
 
-        const focusedWindow = global.display.get_focus_window();
+        const focusedWindow = window ?? global.display.get_focus_window();
         if (!focusedWindow) {
             console.log('[MultiMonitorsWorkspace] No focused window to move');
-            return;
+            return false;
         }
 
         // Skip non-normal windows
         if (focusedWindow.get_window_type() !== Meta.WindowType.NORMAL) {
             console.log('[MultiMonitorsWorkspace] Cannot move non-normal window');
-            return;
+            return false;
         }
 
         const title = focusedWindow.get_title?.() ?? 'unknown';
         const currentWs = focusedWindow.get_workspace()?.index() ?? -1;
-        const currentMonitor = this._getMonitorAtPointer();
+        // An explicit window is measured from its own monitor, the focused one from the pointer's
+        const windowMonitor = window ? this._getWindowMonitor(window) : -1;
+        const currentMonitor = windowMonitor >= 0 ? windowMonitor : this._getMonitorAtPointer();
         const currentDisplayWs = this._monitorWorkspaceMap.get(currentMonitor) ?? 0;
 
         this._debugLog(`\n========== MOVE WINDOW ==========`);
@@ -1090,7 +1515,7 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
 
         if (currentWs === targetWs) {
             this._debugLog('Result: No change (same workspace)');
-            return;
+            return true;
         }
 
         // Ensure target workspace exists
@@ -1102,37 +1527,72 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         const rect = focusedWindow.get_frame_rect();
         const monitorGeo = global.display.get_monitor_geometry(currentMonitor);
 
-        // Save relative position for later restoration
         const relX = rect.x - monitorGeo.x;
         const relY = rect.y - monitorGeo.y;
         const windowId = this._getWindowId(focusedWindow);
-        this._savedWindowPositions.set(windowId, { relX, relY, wsIndex: targetWs });
+        const displayMonitor = this._getMonitorForWorkspace(targetWs);
+
+        if (displayMonitor !== null && displayMonitor !== primaryMonitor) {
+            // Target WS is shown on a secondary monitor: land the window there right away
+            const displayGeo = global.display.get_monitor_geometry(displayMonitor);
+            const newX = Math.max(displayGeo.x, Math.min(displayGeo.x + relX, displayGeo.x + displayGeo.width - rect.width));
+            const newY = Math.max(displayGeo.y, Math.min(displayGeo.y + relY, displayGeo.y + displayGeo.height - rect.height));
+            focusedWindow.move_frame(false, newX, newY);
+            focusedWindow.move_to_monitor(displayMonitor);
+            focusedWindow.change_workspace(global.workspace_manager.get_active_workspace());
+            this._savedWindowPositions.delete(windowId);
+
+            this._debugLog(`Moved "${title}" to WS${targetWs} shown on M${displayMonitor} at (${newX},${newY})`);
+        } else {
+            // Save relative position for later restoration
+            this._savedWindowPositions.set(windowId, { relX, relY, wsIndex: targetWs });
+
+            // Move window to target workspace (visible if the primary shows it)
+            const newX = primaryGeo.x + relX;
+            const newY = primaryGeo.y + relY;
+            focusedWindow.move_frame(false, newX, newY);
+            if (displayMonitor === primaryMonitor) {
+                focusedWindow.move_to_monitor(primaryMonitor);
+            }
+            focusedWindow.change_workspace(targetWsObj);
+
+            this._debugLog(`Moved "${title}" to WS${targetWs} at primary coords (${newX},${newY})`);
+        }
+
+        // The monitor showing targetWs focuses the moved window when it is visited next
+        if (displayMonitor !== null) {
+            this._lastWindowPerWorkspace.set(targetWs, windowId);
+        }
 
-        // Move window to target workspace
-        const newX = primaryGeo.x + relX;
-        const newY = primaryGeo.y + relY;
-        focusedWindow.move_frame(false, newX, newY);
-        focusedWindow.change_workspace(targetWsObj);
+        // Secondary windows are sticky: their WS is the one their monitor shows
+        const fromWs = currentWs >= 0 ? currentWs : currentDisplayWs;
+        this._dbusService?.emitWindowMoved(windowId, fromWs, targetWs);
 
-        this._debugLog(`Moved "${title}" to WS${targetWs} at primary coords (${newX},${newY})`);
+        this._onStateChanged();
 
         // Restore mouse pointer position if it moved during window operations
         this._restorePointerPosition(savedPointerX, savedPointerY);
 
         this._debugLog(`========== END MOVE WINDOW ==========\n`);
+        return true;
+    }
+
+    // Move the focused window to target workspace, then show that workspace on the current monitor
+    // Swaps or warps like a workspace switch when targetWs is shown on another monitor
+    _moveWindowToWorkspaceAndFollow(targetWs) {
+        const window = global.display.get_focus_window();
+        if (!this._moveWindowToWorkspace(targetWs)) return;
+
+        // Focus restoration after the switch picks the moved window
+        this._lastWindowPerWorkspace.set(targetWs, this._getWindowId(window));
+
+        this._switchWorkspace(targetWs);
     }
 
     _connectSignals() {
         const monitorManager = global.backend.get_monitor_manager();
         const id1 = monitorManager.connect('monitors-changed', () => {
-            console.log('[MultiMonitorsWorkspace] Monitors changed, reinitializing...');
-            this._monitorWorkspaceMap.clear();
-            this._initializeMapping();
-
-            // Rebuild workspace indicator
-            if (this._indicatorManager) {
-                this._indicatorManager.rebuild(this._monitorWorkspaceMap);
-            }
+            this._onMonitorsChanged();
         });
         this._signalIds.push({ obj: monitorManager, id: id1 });
 
@@ -1155,7 +1615,7 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             if (showIndicator) {
                 // Create indicator if not exists
                 if (!this._indicatorManager) {
-                    this._indicatorManager = new WorkspaceIndicatorManager();
+                    this._indicatorManager = this._createIndicatorManager();
                     this._indicatorManager.create(this._monitorWorkspaceMap);
                 }
             } else {
@@ -1168,6 +1628,36 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         });
         this._signalIds.push({ obj: this._settings, id: indicatorSettingId });
 
+        // Listen for workspace-count setting changes
+        const countSettingId = this._settings.connect('changed::workspace-count', () => {
+            this._onWorkspaceCountChanged();
+        });
+        this._signalIds.push({ obj: this._settings, id: countSettingId });
+
+        // Listen for workspace name changes
+        const namesSettingId = this._settings.connect('changed::workspace-names', () => {
+            this._syncGnomeWorkspaceNames();
+            if (this._indicatorManager) {
+                this._indicatorManager.update(this._monitorWorkspaceMap);
+            }
+        });
+        this._signalIds.push({ obj: this._settings, id: namesSettingId });
+
+        const showNamesSettingId = this._settings.connect('changed::indicator-show-names', () => {
+            if (this._indicatorManager) {
+                this._indicatorManager.update(this._monitorWorkspaceMap);
+            }
+        });
+        this._signalIds.push({ obj: this._settings, id: showNamesSettingId });
+
+        // Switch between per-monitor boxes and the full workspace bar
+        const indicatorModeSettingId = this._settings.connect('changed::indicator-mode', () => {
+            if (this._indicatorManager) {
+                this._indicatorManager.rebuild(this._monitorWorkspaceMap);
+            }
+        });
+        this._signalIds.push({ obj: this._settings, id: indicatorModeSettingId });
+
         // Listen for workspace-modifier setting changes
         const modifierSettingId = this._settings.connect('changed::workspace-modifier', () => {
             console.log('[MultiMonitorsWorkspace] Workspace modifier changed, updating keybindings...');
@@ -1213,44 +1703,269 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             this._onSystemWorkspaceChanged();
         });
         this._signalIds.push({ obj: global.workspace_manager, id: wsChangedId });
-    }
 
-    // Handle focus window changes - ensure focus stays on current monitor
-    _onFocusWindowChanged() {
-        const focusWindow = global.display.get_focus_window();
+        // Persist window positions after the user drags/resizes a window
+        const grabEndId = global.display.connect('grab-op-end', () => {
+            this._onStateChanged();
+        });
+        this._signalIds.push({ obj: global.display, id: grabEndId });
 
-        // Get current pointer position and monitor
-        const pointerMonitor = this._getMonitorAtPointer();
+        // Forget closed windows: the scratchpad outlives disable/enable, so ids must not pile up
+        const windowDestroyId = global.window_manager.connect('destroy', (wm, windowActor) => {
+            const window = windowActor.get_meta_window();
+            if (window) this._scratchpad.remove(this._getWindowId(window));
+        });
+        this._signalIds.push({ obj: global.window_manager, id: windowDestroyId });
 
-        // If focus window exists, check if it's on a different monitor than pointer
-        if (focusWindow) {
-            const windowType = focusWindow.get_window_type();
-            if (windowType === Meta.WindowType.NORMAL) {
-                // Record last focused window for the workspace
-                // Skip recording during internal switch operations to avoid corrupting saved state
-                if (!this._isInternalSwitch) {
-                    const windowMonitor = this._getWindowMonitor(focusWindow);
-                    if (windowMonitor !== -1) {
-                        const wsIndex = this._monitorWorkspaceMap.get(windowMonitor);
-                        if (wsIndex !== undefined) {
-                            const windowId = this._getWindowId(focusWindow);
-                            this._lastWindowPerWorkspace.set(wsIndex, windowId);
-                        }
-                    }
-                }
-                const rect = focusWindow.get_frame_rect();
-                const windowCenterX = rect.x + rect.width / 2;
-                const windowCenterY = rect.y + rect.height / 2;
+        // Re-tile when windows close or are (un)minimized
+        for (const signal of ['destroy', 'minimize', 'unminimize']) {
+            const id = global.window_manager.connect(signal, () => {
+                this._scheduleRetile();
+            });
+            this._signalIds.push({ obj: global.window_manager, id });
+        }
 
-                // Determine which monitor the focus window is on
-                let focusWindowMonitor = -1;
-                const nMonitors = global.display.get_n_monitors();
-                for (let i = 0; i < nMonitors; i++) {
-                    const geo = global.display.get_monitor_geometry(i);
-                    if (windowCenterX >= geo.x && windowCenterX < geo.x + geo.width &&
-                        windowCenterY >= geo.y && windowCenterY < geo.y + geo.height) {
-                        focusWindowMonitor = i;
-                        break;
+        // Re-tile when tiling settings change
+        for (const key of ['enable-tiling', 'tiling-default-layout', 'tiling-master-ratio',
+            'tiling-master-count', 'tiling-gap', 'tiling-workspaces']) {
+            const id = this._settings.connect(`changed::${key}`, () => {
+                this._scheduleRetile();
+            });
+            this._signalIds.push({ obj: this._settings, id });
+        }
+
+        // Listen for persist-state setting changes
+        const persistSettingId = this._settings.connect('changed::persist-state', () => {
+            if (this._settings.get_boolean('persist-state')) {
+                this._onStateChanged();
+            } else {
+                this._stateStore?.clear();
+            }
+        });
+        this._signalIds.push({ obj: this._settings, id: persistSettingId });
+    }
+
+    // Handle workspace-count changes: regenerate keybindings and move monitors off
+    // workspaces past the new count (their windows stay there, hidden, until it grows again)
+    _onWorkspaceCountChanged() {
+        const count = this._getWorkspaceCount();
+        console.log(`[MultiMonitorsWorkspace] Workspace count changed to ${count}, updating keybindings...`);
+
+        this._unregisterKeybindings();
+        this._updateWorkspaceKeybindingSettings();
+        this._overrideSystemKeybindings();
+        this._registerKeybindings();
+        this._ensureWorkspaceExists(count - 1);
+
+        const previousMap = new Map(this._monitorWorkspaceMap);
+        for (const [monitorIndex, wsIndex] of previousMap) {
+            if (wsIndex < count) continue;
+
+            const used = new Set(this._monitorWorkspaceMap.values());
+            let freeWs = 0;
+            while (used.has(freeWs)) freeWs++;
+
+            this._debugLog(`WORKSPACE COUNT: M${monitorIndex} WS${wsIndex} -> WS${freeWs}`);
+            this._setMonitorWorkspace(monitorIndex, freeWs);
+        }
+        this._emitWorkspaceChanges(previousMap, 'switch');
+
+        // The scratchpad workspace moved with the count: keep hidden scratchpad windows on it
+        for (const windowId of this._scratchpad.hiddenWindows()) {
+            this._findWindowById(windowId)?.change_workspace(this._getScratchpadWorkspace());
+        }
+        this._trimExtraWorkspaces();
+
+        // Update workspace indicator (labels depend on the count)
+        if (this._indicatorManager) {
+            this._indicatorManager.update(this._monitorWorkspaceMap);
+        }
+
+        // Update wallpaper overlays
+        if (this._wallpaperManager) {
+            this._wallpaperManager.update(this._monitorWorkspaceMap);
+        }
+
+        this._onStateChanged();
+    }
+
+    // Handle monitor hotplug (dock/undock)
+    // Surviving monitors keep their workspace; a known set of monitors gets its profile back
+    _onMonitorsChanged() {
+        console.log('[MultiMonitorsWorkspace] Monitors changed, reconciling mapping...');
+
+        // Thumbnails and the target monitor are laid out for the old monitors
+        this._workspaceSwitcher?.close();
+
+        // Remember the layout we are leaving and what each physical monitor showed
+        const oldIdentities = this._monitorIdentities;
+        this._monitorProfiles.remember(oldIdentities, this._monitorWorkspaceMap);
+
+        const previousByKey = new Map();
+        for (const [monitorIndex, identity] of oldIdentities) {
+            const wsIndex = this._monitorWorkspaceMap.get(monitorIndex);
+            if (wsIndex !== undefined) {
+                previousByKey.set(identity.key, wsIndex);
+            }
+        }
+
+        this._monitorIdentities = this._monitorProfiles.getMonitorIdentities();
+        const profileMapping = this._monitorProfiles.lookup(this._monitorIdentities);
+        this._debugLog(`MONITORS CHANGED: layout=${this._monitorProfiles.getLayoutKey(this._monitorIdentities)}, profile=${profileMapping ? 'found' : 'none'}`);
+
+        // Park windows of unplugged monitors before the primary's windows get reshuffled
+        this._evacuateRemovedMonitors(oldIdentities);
+
+        const previousMap = new Map(this._monitorWorkspaceMap);
+
+        this._reconcileMapping(previousByKey, profileMapping);
+
+        // Reapply the rest of the profile (primary and surviving monitors)
+        if (profileMapping) {
+            for (const [monitorIndex, wsIndex] of profileMapping) {
+                if (this._monitorWorkspaceMap.get(monitorIndex) !== wsIndex) {
+                    this._setMonitorWorkspace(monitorIndex, wsIndex);
+                }
+            }
+        }
+
+        this._logMappings('After Monitors Changed');
+
+        // History is per monitor index, which hotplug reassigns
+        this._workspaceHistory.clear();
+        this._emitWorkspaceChanges(previousMap, 'hotplug');
+
+        // Rebuild workspace indicator
+        if (this._indicatorManager) {
+            this._indicatorManager.rebuild(this._monitorWorkspaceMap);
+        }
+
+        // Update wallpaper overlays
+        if (this._wallpaperManager) {
+            this._wallpaperManager.update(this._monitorWorkspaceMap);
+        }
+
+        this._onStateChanged();
+        this._debugDumpState('AFTER Monitors Changed');
+    }
+
+    // Send windows that were on an unplugged secondary back to their logical WS, hidden
+    // Mutter has already dumped them onto a remaining monitor (and the active WS);
+    // whichever monitor shows that WS next gets them back at their old relative position
+    _evacuateRemovedMonitors(oldIdentities) {
+        const currentKeys = new Set([...this._monitorIdentities.values()].map(id => id.key));
+        const removedKeys = new Set();
+        for (const identity of oldIdentities.values()) {
+            if (!currentKeys.has(identity.key)) {
+                removedKeys.add(identity.key);
+            }
+        }
+        if (removedKeys.size === 0) return;
+
+        let windowCount = 0;
+        for (const [windowId, entry] of this._windowMonitorSnapshot) {
+            if (!removedKeys.has(entry.monitorKey)) continue;
+
+            const window = entry.window;
+            if (!window.get_compositor_private()) {
+                this._windowMonitorSnapshot.delete(windowId);
+                continue;
+            }
+
+            const title = window.get_title?.() ?? 'unknown';
+            const shortTitle = title.length > 20 ? title.slice(0, 20) + '...' : title;
+            this._parkWindowOnWorkspace(window, entry.wsIndex,
+                entry.relX, entry.relY, entry.width, entry.height);
+            this._windowMonitorSnapshot.delete(windowId);
+
+            windowCount++;
+            this._debugLog(`  EVACUATE: "${shortTitle}" ${entry.monitorKey} -> WS${entry.wsIndex} (hidden), rel(${entry.relX},${entry.relY})`);
+        }
+
+        console.log(`[MultiMonitorsWorkspace] Evacuated ${windowCount} windows from ${removedKeys.size} removed monitor(s)`);
+    }
+
+    // Rebuild the mapping for the current monitors after a hotplug
+    // Primary shows the global active WS, surviving monitors keep the WS whose windows
+    // they still show, newly connected monitors get their profile WS (or a free one)
+    _reconcileMapping(previousByKey, profileMapping) {
+        const nMonitors = global.display.get_n_monitors();
+        const primaryMonitor = global.display.get_primary_monitor();
+        const activeWs = global.workspace_manager.get_active_workspace_index();
+
+        const used = new Set([activeWs]);
+        const newMonitors = [];
+
+        this._monitorWorkspaceMap.clear();
+        this._monitorWorkspaceMap.set(primaryMonitor, activeWs);
+
+        for (let i = 0; i < nMonitors; i++) {
+            if (i === primaryMonitor) continue;
+
+            const key = this._monitorIdentities.get(i)?.key;
+            const wsIndex = previousByKey.get(key);
+            if (wsIndex !== undefined && !used.has(wsIndex)) {
+                this._monitorWorkspaceMap.set(i, wsIndex);
+                used.add(wsIndex);
+            } else {
+                newMonitors.push(i);
+            }
+        }
+
+        for (const monitorIndex of newMonitors) {
+            let wsIndex = profileMapping?.get(monitorIndex);
+            if (wsIndex === undefined || used.has(wsIndex)) {
+                wsIndex = 0;
+                while (used.has(wsIndex)) wsIndex++;
+            }
+            used.add(wsIndex);
+
+            this._ensureWorkspaceExists(wsIndex);
+            this._monitorWorkspaceMap.set(monitorIndex, wsIndex);
+
+            // New monitor is empty: bring that WS's hidden windows onto it
+            this._debugLog(`MONITORS CHANGED: new M${monitorIndex} -> WS${wsIndex}`);
+            this._bringWorkspaceWindowsToSecondary(monitorIndex, wsIndex);
+        }
+    }
+
+    // Handle focus window changes - ensure focus stays on current monitor
+    _onFocusWindowChanged() {
+        const focusWindow = global.display.get_focus_window();
+
+        // Get current pointer position and monitor
+        const pointerMonitor = this._getMonitorAtPointer();
+
+        // If focus window exists, check if it's on a different monitor than pointer
+        if (focusWindow) {
+            const windowType = focusWindow.get_window_type();
+            if (windowType === Meta.WindowType.NORMAL) {
+                // Record last focused window for the workspace
+                // Skip recording during internal switch operations to avoid corrupting saved state
+                if (!this._isInternalSwitch && !this._isScratchpadWindow(focusWindow)) {
+                    const windowMonitor = this._getWindowMonitor(focusWindow);
+                    if (windowMonitor !== -1) {
+                        const wsIndex = this._monitorWorkspaceMap.get(windowMonitor);
+                        if (wsIndex !== undefined) {
+                            const windowId = this._getWindowId(focusWindow);
+                            this._lastWindowPerWorkspace.set(wsIndex, windowId);
+                            this._tilingManager?.onWindowFocused(wsIndex, focusWindow);
+                        }
+                    }
+                }
+                const rect = focusWindow.get_frame_rect();
+                const windowCenterX = rect.x + rect.width / 2;
+                const windowCenterY = rect.y + rect.height / 2;
+
+                // Determine which monitor the focus window is on
+                let focusWindowMonitor = -1;
+                const nMonitors = global.display.get_n_monitors();
+                for (let i = 0; i < nMonitors; i++) {
+                    const geo = global.display.get_monitor_geometry(i);
+                    if (windowCenterX >= geo.x && windowCenterX < geo.x + geo.width &&
+                        windowCenterY >= geo.y && windowCenterY < geo.y + geo.height) {
+                        focusWindowMonitor = i;
+                        break;
                     }
                 }
 
@@ -1270,6 +1985,9 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             }
         }
 
+        // Report the monitor that now has focus (the pointer's one when nothing is focused)
+        this._updateFocusedMonitor(focusWindow ? this._getWindowMonitor(focusWindow) : pointerMonitor);
+
         // warp-pointer-to-focus feature
         if (!this._settings.get_boolean('warp-pointer-to-focus')) {
             return;
@@ -1334,11 +2052,13 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
 
         // Check if targetWs is already displayed on another monitor (SWAP case)
         const existingMonitor = this._getMonitorForWorkspace(targetWs);
+        const previousMap = new Map(this._monitorWorkspaceMap);
 
         if (existingMonitor !== null && existingMonitor !== primaryMonitor) {
             // SWAP: reuse existing swap logic, but skip workspace.activate()
             this._debugLog(`Mode: SWAP (WS${targetWs} already on M${existingMonitor})`);
             this._performSwap(primaryMonitor, existingMonitor, previousWs, targetWs, true);
+            this._dbusService?.emitWorkspacesSwapped(primaryMonitor, existingMonitor, previousWs, targetWs);
         } else {
             // SIMPLE SWITCH on primary
             // GNOME already changed WS, so we just need to save previousWs window positions
@@ -1346,6 +2066,8 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             this._saveWorkspaceWindowPositions(primaryMonitor, previousWs);
             this._monitorWorkspaceMap.set(primaryMonitor, targetWs);
         }
+        this._workspaceHistory.record(previousMap, this._monitorWorkspaceMap);
+        this._emitWorkspaceChanges(previousMap, 'external');
 
         // Update workspace indicator
         if (this._indicatorManager) {
@@ -1357,6 +2079,8 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             this._wallpaperManager.update(this._monitorWorkspaceMap);
         }
 
+        this._onStateChanged();
+
         this._debugDumpState('AFTER External WS Change');
         this._debugLog(`========== END EXTERNAL WS CHANGE ==========\n`);
     }
@@ -1416,6 +2140,7 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         // Capture pointer position NOW (before warp-pointer-to-focus can move it)
         const [capturedPointerX, capturedPointerY] = global.get_pointer();
         const targetMonitor = this._getMonitorAtPointer();
+        const previousFocus = global.display.focus_window;
 
         this._debugLog(`WINDOW CREATED: Captured pointer at (${capturedPointerX},${capturedPointerY}) on M${targetMonitor}`);
 
@@ -1424,7 +2149,16 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
 
         // Delay to let the window initialize its position
         this._addManagedIdle(() => {
-            this._moveWindowToMonitor(window, targetMonitor, windowId);
+            // Windows reopened by session restore go back to their persisted workspace
+            const record = this._takeRestoredWindowRecord(window);
+            const rule = record ? null : this._matchAppRule(window);
+            if (record) {
+                this._placeRestoredWindow(window, record, windowId);
+            } else if (rule) {
+                this._placeWindowByRule(window, rule, targetMonitor, windowId, previousFocus);
+            } else {
+                this._moveWindowToMonitor(window, targetMonitor, windowId);
+            }
             return GLib.SOURCE_REMOVE;
         });
     }
@@ -1534,14 +2268,14 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
     }
 
     // Finish window placement: remove from pending, focus window, and warp pointer if needed
-    _finishWindowPlacement(window, windowId, warpX, warpY) {
+    _finishWindowPlacement(window, windowId, warpX, warpY, focus = true) {
         // Remove from pending placement
         if (windowId) {
             this._windowsPendingPlacement.delete(windowId);
         }
 
         // Focus the newly created window
-        if (window && !window.is_destroyed?.()) {
+        if (focus && window && !window.is_destroyed?.()) {
             const title = window.get_title?.() ?? 'unknown';
             window.activate(global.get_current_time());
             this._debugLog(`NEW WINDOW: Focused "${title}"`);
@@ -1554,6 +2288,8 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
 
             this._debugLog(`NEW WINDOW: Warped pointer to (${warpX},${warpY})`);
         }
+
+        this._onStateChanged();
     }
 
     // Handle session mode changes (screen lock/unlock)
@@ -1588,109 +2324,1121 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
 
         this._debugLog('Refreshing secondary monitor windows...');
 
-        for (let monitorIndex = 0; monitorIndex < nMonitors; monitorIndex++) {
-            if (monitorIndex === primaryMonitor) continue;
+        for (let monitorIndex = 0; monitorIndex < nMonitors; monitorIndex++) {
+            if (monitorIndex === primaryMonitor) continue;
+
+            const logicalWs = this._monitorWorkspaceMap.get(monitorIndex);
+            if (logicalWs === undefined) continue;
+
+            const windowsOnMonitor = this._getWindowsOnMonitor(monitorIndex);
+            this._debugLog(`  M${monitorIndex} (WS${logicalWs}): ${windowsOnMonitor.length} windows`);
+
+            for (const window of windowsOnMonitor) {
+                const title = window.get_title?.() ?? 'unknown';
+                const shortTitle = title.length > 20 ? title.slice(0, 20) + '...' : title;
+                const rect = window.get_frame_rect();
+
+                // Ensure window is on global WS (makes it visible/sticky on secondary)
+                window.change_workspace(currentGlobalWs);
+
+                // Re-apply position and size
+                window.move_resize_frame(false, rect.x, rect.y, rect.width, rect.height);
+
+                // Delayed re-apply for tiling state preservation
+                const w = window, x = rect.x, y = rect.y, width = rect.width, height = rect.height;
+                this._addManagedTimeout(50, () => {
+                    if (!w.is_destroyed?.()) {
+                        w.move_resize_frame(false, x, y, width, height);
+                    }
+                    return GLib.SOURCE_REMOVE;
+                });
+
+                this._debugLog(`    "${shortTitle}" refreshed at (${rect.x},${rect.y}) ${rect.width}x${rect.height}`);
+            }
+        }
+
+        console.log('[MultiMonitorsWorkspace] Secondary windows refreshed');
+    }
+
+    // Restore secondary windows from saved mapping after enable()
+    // Windows are retrieved from their logical WS and moved to secondary monitors
+    _restoreSecondaryWindowsFromMapping() {
+        if (!this._savedMappingBeforeDisable || this._savedMappingBeforeDisable.size === 0) {
+            console.log('[MultiMonitorsWorkspace] No saved mapping to restore');
+            return;
+        }
+
+        const nMonitors = global.display.get_n_monitors();
+        const primaryMonitor = global.display.get_primary_monitor();
+        const primaryGeo = global.display.get_monitor_geometry(primaryMonitor);
+        const currentGlobalWs = global.workspace_manager.get_active_workspace();
+
+        console.log('[MultiMonitorsWorkspace] Restoring secondary windows from mapping...');
+
+        // Restore mapping to _monitorWorkspaceMap
+        const previousMap = new Map(this._monitorWorkspaceMap);
+        for (const [monitorIndex, wsIndex] of this._savedMappingBeforeDisable) {
+            this._monitorWorkspaceMap.set(monitorIndex, wsIndex);
+        }
+
+        let windowCount = 0;
+        for (let monitorIndex = 0; monitorIndex < nMonitors; monitorIndex++) {
+            if (monitorIndex === primaryMonitor) continue;
+
+            const logicalWs = this._savedMappingBeforeDisable.get(monitorIndex);
+            if (logicalWs === undefined) continue;
+
+            const monitorGeo = global.display.get_monitor_geometry(monitorIndex);
+            if (!monitorGeo) continue;
+
+            // Get windows from their logical WS
+            const windowsOnWs = this._getWindowsOnWorkspace(logicalWs);
+
+            for (const window of windowsOnWs) {
+                const title = window.get_title?.() ?? 'unknown';
+                const rect = window.get_frame_rect();
+
+                // Calculate relative position (window is on primary)
+                const relX = rect.x - primaryGeo.x;
+                const relY = rect.y - primaryGeo.y;
+
+                // Move to secondary monitor
+                const newX = monitorGeo.x + relX;
+                const newY = monitorGeo.y + relY;
+                window.move_resize_frame(false, newX, newY, rect.width, rect.height);
+                window.move_to_monitor(monitorIndex);
+                window.change_workspace(currentGlobalWs);
+
+                // Delayed re-apply for stability
+                const w = window, x = newX, y = newY, width = rect.width, height = rect.height;
+                this._addManagedTimeout(50, () => {
+                    if (!w.is_destroyed?.()) {
+                        w.move_resize_frame(false, x, y, width, height);
+                    }
+                    return GLib.SOURCE_REMOVE;
+                });
+
+                windowCount++;
+                console.log(`[MultiMonitorsWorkspace] Restored "${title}" to M${monitorIndex} at (${newX},${newY})`);
+            }
+        }
+
+        // Clear saved mapping
+        this._savedMappingBeforeDisable.clear();
+        console.log(`[MultiMonitorsWorkspace] Restored ${windowCount} windows`);
+
+        this._logMappings('After Restore');
+        this._emitWorkspaceChanges(previousMap, 'restore');
+
+        this._onStateChanged();
+
+        // Update workspace indicator
+        if (this._indicatorManager) {
+            this._indicatorManager.update(this._monitorWorkspaceMap);
+        }
+
+        // Update wallpaper overlays
+        if (this._wallpaperManager) {
+            this._wallpaperManager.update(this._monitorWorkspaceMap);
+        }
+    }
+
+    // ========== Persisted State ==========
+
+    // Called after the mapping or window placement changed: refresh the window snapshot
+    // and schedule a write of the persisted state (coalesces bursts of changes)
+    _onStateChanged() {
+        this._snapshotWindowMonitors();
+        this._scheduleRetile();
+
+        // The full indicator bar shows which workspaces have windows
+        if (this._indicatorManager) {
+            this._indicatorManager.update(this._monitorWorkspaceMap);
+        }
+
+        if (!this._stateStore || !this._settings.get_boolean('persist-state')) return;
+
+        if (this._stateSaveTimeoutId) {
+            this._cancelManagedTimeout(this._stateSaveTimeoutId);
+        }
+        this._stateSaveTimeoutId = this._addManagedTimeout(STATE_SAVE_DELAY_MS, () => {
+            this._stateSaveTimeoutId = null;
+            this._saveState();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    // Record which physical secondary monitor (and so which logical WS) each window is on
+    _snapshotWindowMonitors() {
+        const nMonitors = global.display.get_n_monitors();
+        const primaryMonitor = global.display.get_primary_monitor();
+
+        this._windowMonitorSnapshot.clear();
+        for (let monitorIndex = 0; monitorIndex < nMonitors; monitorIndex++) {
+            if (monitorIndex === primaryMonitor) continue;
+
+            const monitorKey = this._monitorIdentities.get(monitorIndex)?.key;
+            const wsIndex = this._monitorWorkspaceMap.get(monitorIndex);
+            if (!monitorKey || wsIndex === undefined) continue;
+
+            const monitorGeo = global.display.get_monitor_geometry(monitorIndex);
+            for (const window of this._getWindowsOnMonitor(monitorIndex, true)) {
+                const rect = window.get_frame_rect();
+                this._windowMonitorSnapshot.set(this._getWindowId(window), {
+                    window,
+                    monitorKey,
+                    wsIndex,
+                    relX: rect.x - monitorGeo.x,
+                    relY: rect.y - monitorGeo.y,
+                    width: rect.width,
+                    height: rect.height,
+                });
+            }
+        }
+    }
+
+    // Write mapping, per-window logical workspace and relative positions to the state file
+    // Written on every change because disable() is not called on X11 restart or logout
+    _saveState() {
+        if (!this._stateStore || !this._settings.get_boolean('persist-state')) return;
+
+        const primaryMonitor = global.display.get_primary_monitor();
+        const primaryGeo = global.display.get_monitor_geometry(primaryMonitor);
+
+        // The mapping is stored as the current layout's profile (keyed by connector/EDID)
+        this._monitorProfiles.remember(this._monitorIdentities, this._monitorWorkspaceMap);
+
+        const windows = [];
+        for (const actor of global.get_window_actors()) {
+            const window = actor.get_meta_window();
+            if (!window) continue;
+            if (window.is_skip_taskbar()) continue;
+            if (window.get_window_type() !== Meta.WindowType.NORMAL) continue;
+
+            // Scratchpad windows belong to no workspace: they come back hidden
+            const scratchpad = this._scratchpad.nameOf(this._getWindowId(window));
+            if (scratchpad !== null) {
+                windows.push({
+                    ...this._stateStore.describeWindow(window),
+                    wsIndex: -1,
+                    relX: 0,
+                    relY: 0,
+                    scratchpad,
+                });
+                continue;
+            }
+
+            const rect = window.get_frame_rect();
+            const monitorIndex = this._getWindowMonitor(window);
+            let wsIndex, relX, relY;
+
+            if (monitorIndex !== -1 && monitorIndex !== primaryMonitor) {
+                // Secondary: window belongs to the WS the monitor displays (its own WS is sticky)
+                const geo = global.display.get_monitor_geometry(monitorIndex);
+                wsIndex = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+                relX = rect.x - geo.x;
+                relY = rect.y - geo.y;
+            } else {
+                // Primary (visible or hidden): window belongs to its GNOME workspace
+                if (window.is_on_all_workspaces()) continue;
+                wsIndex = window.get_workspace()?.index() ?? -1;
+                if (wsIndex < 0) continue;
+
+                const savedPos = this._savedWindowPositions.get(this._getWindowId(window));
+                if (savedPos && savedPos.wsIndex === wsIndex) {
+                    relX = savedPos.relX;
+                    relY = savedPos.relY;
+                } else {
+                    relX = rect.x - primaryGeo.x;
+                    relY = rect.y - primaryGeo.y;
+                }
+            }
+
+            windows.push({
+                ...this._stateStore.describeWindow(window),
+                wsIndex,
+                relX,
+                relY,
+            });
+        }
+
+        this._stateStore.save({
+            savedAt: new Date().toISOString(),
+            profiles: this._monitorProfiles.serialize(),
+            windows,
+        });
+        this._debugLog(`STATE: Saved mapping and ${windows.length} windows`);
+    }
+
+    // Restore mapping and window positions persisted by a previous shell instance
+    _restorePersistedState() {
+        if (!this._settings.get_boolean('persist-state')) return;
+
+        const state = this._stateStore.load();
+        if (!state) return;
+
+        console.log(`[MultiMonitorsWorkspace] Restoring persisted state from ${state.savedAt}`);
+
+        this._monitorProfiles.deserialize(state.profiles);
+        const profileMapping = this._monitorProfiles.lookup(this._monitorIdentities);
+        if (profileMapping) {
+            this._applyPersistedMapping(profileMapping);
+        } else {
+            console.log('[MultiMonitorsWorkspace] No saved profile for this monitor layout, keeping default mapping');
+        }
+
+        // Window IDs change across restarts: re-key saved positions of existing windows
+        const records = [...state.windows];
+        let matched = 0;
+        for (const actor of global.get_window_actors()) {
+            const window = actor.get_meta_window();
+            if (!window) continue;
+            if (window.is_skip_taskbar()) continue;
+            if (window.get_window_type() !== Meta.WindowType.NORMAL) continue;
+
+            const record = this._stateStore.takeMatchingRecord(window, records);
+            if (!record) continue;
+            matched++;
+
+            if (record.scratchpad) {
+                this._scratchpad.add(this._getWindowId(window), record.scratchpad);
+                this._hideScratchpadWindow(window);
+                continue;
+            }
+
+            const wsIndex = window.get_workspace()?.index() ?? -1;
+            if (!window.is_on_all_workspaces() && wsIndex === record.wsIndex) {
+                const windowId = this._getWindowId(window);
+                this._savedWindowPositions.set(windowId, { relX: record.relX, relY: record.relY, wsIndex });
+            }
+        }
+
+        // Remaining records are matched against windows reopened by session restore
+        this._restoredWindowRecords = records;
+        if (records.length > 0) {
+            this._restoreMatchTimeoutId = this._addManagedTimeout(RESTORE_MATCH_PERIOD_MS, () => {
+                this._restoreMatchTimeoutId = null;
+                this._debugLog(`STATE: Dropping ${this._restoredWindowRecords.length} unmatched window records`);
+                this._restoredWindowRecords = [];
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+
+        console.log(`[MultiMonitorsWorkspace] Matched ${matched} existing windows, ${records.length} records pending`);
+    }
+
+    // Apply a persisted monitor -> workspace mapping (ignored if incomplete or inconsistent)
+    _applyPersistedMapping(savedMap) {
+        const nMonitors = global.display.get_n_monitors();
+        const primaryMonitor = global.display.get_primary_monitor();
+
+        const seen = new Set();
+        for (let i = 0; i < nMonitors; i++) {
+            const wsIndex = savedMap.get(i);
+            if (!Number.isInteger(wsIndex) || wsIndex < 0 || seen.has(wsIndex)) {
+                console.log('[MultiMonitorsWorkspace] Persisted mapping is invalid, ignoring');
+                return;
+            }
+            seen.add(wsIndex);
+        }
+
+        for (let i = 0; i < nMonitors; i++) {
+            const wsIndex = savedMap.get(i);
+            this._ensureWorkspaceExists(wsIndex);
+            this._monitorWorkspaceMap.set(i, wsIndex);
+        }
+
+        // Primary always displays the global active workspace
+        const primaryWs = this._monitorWorkspaceMap.get(primaryMonitor);
+        if (primaryWs !== global.workspace_manager.get_active_workspace_index()) {
+            const primaryWsObj = global.workspace_manager.get_workspace_by_index(primaryWs);
+            if (primaryWsObj) {
+                this._activateWorkspaceWithoutAnimation(primaryWsObj);
+            }
+        }
+
+        this._logMappings('Persisted');
+    }
+
+    // Take the persisted record matching a newly created window (if any)
+    _takeRestoredWindowRecord(window) {
+        if (this._restoredWindowRecords.length === 0) return null;
+        if (!window || window.is_destroyed?.()) return null;
+        if (window.get_window_type() !== Meta.WindowType.NORMAL) return null;
+
+        return this._stateStore.takeMatchingRecord(window, this._restoredWindowRecords);
+    }
+
+    // Place a reopened window on its persisted logical workspace
+    // Shown on the monitor displaying that WS, or parked hidden on it otherwise
+    _placeRestoredWindow(window, record, windowId) {
+        if (!window || window.is_destroyed?.()) {
+            if (windowId) this._windowsPendingPlacement.delete(windowId);
+            return;
+        }
+
+        const title = window.get_title?.() ?? 'unknown';
+
+        if (record.scratchpad) {
+            this._scratchpad.add(windowId, record.scratchpad);
+            this._hideScratchpadWindow(window);
+            this._windowsPendingPlacement.delete(windowId);
+            this._debugLog(`RESTORED WINDOW: "${title}" hidden in scratchpad "${record.scratchpad}"`);
+            this._onStateChanged();
+            return;
+        }
+
+        const wsIndex = record.wsIndex;
+        const rect = window.get_frame_rect();
+        const primaryMonitor = global.display.get_primary_monitor();
+
+        this._ensureWorkspaceExists(wsIndex);
+        const wsObj = global.workspace_manager.get_workspace_by_index(wsIndex);
+        const displayMonitor = this._getMonitorForWorkspace(wsIndex);
+
+        if (displayMonitor !== null) {
+            const geo = global.display.get_monitor_geometry(displayMonitor);
+            const newX = Math.max(geo.x, Math.min(geo.x + record.relX, geo.x + geo.width - rect.width));
+            const newY = Math.max(geo.y, Math.min(geo.y + record.relY, geo.y + geo.height - rect.height));
+
+            window.move_frame(false, newX, newY);
+            window.move_to_monitor(displayMonitor);
+            if (displayMonitor === primaryMonitor) {
+                window.change_workspace(wsObj);
+            } else {
+                window.change_workspace(global.workspace_manager.get_active_workspace());
+            }
+
+            this._debugLog(`RESTORED WINDOW: "${title}" -> M${displayMonitor} (WS${wsIndex}) at (${newX},${newY})`);
+            const warpX = Math.floor(newX + rect.width / 2);
+            const warpY = Math.floor(newY + rect.height / 2);
+            this._finishWindowPlacement(window, windowId, warpX, warpY);
+            return;
+        }
+
+        // WS not displayed: park the window hidden on its WS at primary coordinates
+        const primaryGeo = global.display.get_monitor_geometry(primaryMonitor);
+        window.move_frame(false, primaryGeo.x + record.relX, primaryGeo.y + record.relY);
+        window.move_to_monitor(primaryMonitor);
+        window.change_workspace(wsObj);
+        this._savedWindowPositions.set(windowId, { relX: record.relX, relY: record.relY, wsIndex });
+
+        if (windowId) this._windowsPendingPlacement.delete(windowId);
+        this._debugLog(`RESTORED WINDOW: "${title}" parked hidden on WS${wsIndex}`);
+        this._onStateChanged();
+    }
+
+    // ========== Application Rules ==========
+
+    // First app-rules entry matching a newly created window (dialogs follow their parent)
+    _matchAppRule(window) {
+        if (!this._appRules) return null;
+        if (!window || window.is_destroyed?.()) return null;
+        if (window.get_window_type() !== Meta.WindowType.NORMAL) return null;
+
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+        return this._appRules.match(window, app?.get_id() ?? null);
+    }
+
+    // Place a new window as its rule says
+    // A rule workspace wins over the monitor: the window goes to the monitor showing it,
+    // or is parked hidden on it (follow shows it on the rule monitor / pointer monitor first)
+    _placeWindowByRule(window, rule, pointerMonitor, windowId, previousFocus) {
+        if (!window || window.is_destroyed?.()) {
+            if (windowId) this._windowsPendingPlacement.delete(windowId);
+            return;
+        }
+
+        const title = window.get_title?.() ?? 'unknown';
+        const primaryMonitor = global.display.get_primary_monitor();
+        const nMonitors = global.display.get_n_monitors();
+        const ruleWs = rule.workspace >= 0 && rule.workspace < this._getWorkspaceCount() ? rule.workspace : -1;
+        const ruleMonitor = rule.monitor >= 0 && rule.monitor < nMonitors ? rule.monitor : -1;
+
+        this._debugLog(`RULE WINDOW: "${title}" matched rule "${rule.name}" (WS${ruleWs}, M${ruleMonitor})`);
+
+        // Geometry relative to the monitor the app opened the window on, unless the rule sets it
+        if (rule.floating && window.get_maximized()) {
+            window.unmaximize(Meta.MaximizeFlags.BOTH);
+        }
+        if (rule.floating) {
+            this._tilingManager?.setFloating(window, true);
+        }
+        const rect = window.get_frame_rect();
+        const sourceMonitor = this._getWindowMonitor(window);
+        const sourceGeo = global.display.get_monitor_geometry(sourceMonitor >= 0 ? sourceMonitor : primaryMonitor);
+        let relX = rect.x - sourceGeo.x;
+        let relY = rect.y - sourceGeo.y;
+        let width = rect.width;
+        let height = rect.height;
+        if (rule.floating) {
+            if (rule.x >= 0) relX = rule.x;
+            if (rule.y >= 0) relY = rule.y;
+            if (rule.width > 0) width = rule.width;
+            if (rule.height > 0) height = rule.height;
+        }
+
+        // Restore the previous focus when the new window must not take it
+        const keepPreviousFocus = () => {
+            const focused = global.display.focus_window;
+            if (focused && focused !== window) return;
+            if (previousFocus && previousFocus !== window && !previousFocus.is_destroyed?.()) {
+                previousFocus.activate(global.get_current_time());
+            }
+        };
+
+        // Scratchpad rule: the window starts hidden, summoned by the scratchpad's toggle
+        if (rule.scratchpad) {
+            if (rule.floating) window.move_resize_frame(false, rect.x, rect.y, width, height);
+            this._scratchpad.add(windowId, rule.scratchpad);
+            this._hideScratchpadWindow(window);
+            if (windowId) this._windowsPendingPlacement.delete(windowId);
+            keepPreviousFocus();
+            this._onStateChanged();
+            return;
+        }
+
+        let targetMonitor;
+        if (ruleWs >= 0) {
+            if (rule.follow) {
+                this._switchWorkspace(ruleWs, ruleMonitor >= 0 ? ruleMonitor : pointerMonitor);
+            }
+            targetMonitor = this._getMonitorForWorkspace(ruleWs);
+
+            if (targetMonitor === null) {
+                this._parkWindowOnWorkspace(window, ruleWs, relX, relY, width, height);
+                if (windowId) this._windowsPendingPlacement.delete(windowId);
+                keepPreviousFocus();
+                this._debugLog(`RULE WINDOW: "${title}" parked hidden on WS${ruleWs}`);
+                this._onStateChanged();
+                return;
+            }
+        } else {
+            targetMonitor = ruleMonitor >= 0 ? ruleMonitor : pointerMonitor;
+        }
+
+        const geo = global.display.get_monitor_geometry(targetMonitor);
+        const newX = Math.max(geo.x, Math.min(geo.x + relX, geo.x + geo.width - width));
+        const newY = Math.max(geo.y, Math.min(geo.y + relY, geo.y + geo.height - height));
+
+        window.move_resize_frame(false, newX, newY, width, height);
+        window.move_to_monitor(targetMonitor);
+        if (targetMonitor === primaryMonitor) {
+            const wsObj = global.workspace_manager.get_workspace_by_index(this._monitorWorkspaceMap.get(targetMonitor) ?? 0);
+            if (wsObj) window.change_workspace(wsObj);
+        } else {
+            window.change_workspace(global.workspace_manager.get_active_workspace());
+        }
+
+        this._debugLog(`RULE WINDOW: "${title}" -> M${targetMonitor} (WS${this._monitorWorkspaceMap.get(targetMonitor)}) at (${newX},${newY}) ${width}x${height}`);
+
+        if (rule.noFocus) {
+            this._finishWindowPlacement(window, windowId, undefined, undefined, false);
+            keepPreviousFocus();
+            return;
+        }
+
+        const warpX = Math.floor(newX + width / 2);
+        const warpY = Math.floor(newY + height / 2);
+
+        // Follow onto another monitor: move the pointer along even without warp-pointer-to-focus
+        // (focus is otherwise pulled back to the monitor under the pointer)
+        if (rule.follow && targetMonitor !== this._getMonitorAtPointer()) {
+            const seat = Clutter.get_default_backend().get_default_seat();
+            seat.warp_pointer(warpX, warpY);
+        }
+        // The focus restore after a follow switch picks the new window
+        if (rule.follow && ruleWs >= 0) {
+            this._lastWindowPerWorkspace.set(ruleWs, windowId);
+        }
+        this._finishWindowPlacement(window, windowId, warpX, warpY);
+    }
+
+    // ========== Directional Focus and Move ==========
+
+    // Monitor rects for the directional lookups
+    _getMonitorRects() {
+        const monitors = [];
+        const nMonitors = global.display.get_n_monitors();
+        for (let i = 0; i < nMonitors; i++) {
+            const geo = global.display.get_monitor_geometry(i);
+            monitors.push({ index: i, x: geo.x, y: geo.y, width: geo.width, height: geo.height });
+        }
+        return monitors;
+    }
+
+    // Where a directional action starts: the focused window if it is on the pointer's monitor,
+    // otherwise the pointer itself
+    _getDirectionalOrigin() {
+        const monitorIndex = this._getMonitorAtPointer();
+        const focusWindow = global.display.get_focus_window();
+        if (focusWindow && focusWindow.get_window_type() === Meta.WindowType.NORMAL &&
+            this._getWindowMonitor(focusWindow) === monitorIndex) {
+            return { monitorIndex, window: focusWindow, rect: focusWindow.get_frame_rect() };
+        }
+
+        const [pointerX, pointerY] = global.get_pointer();
+        return { monitorIndex, window: null, rect: { x: pointerX, y: pointerY, width: 1, height: 1 } };
+    }
+
+    // [window, rect] pairs of the windows on a monitor's displayed workspace
+    _getDirectionalCandidates(monitorIndex, exclude = null) {
+        const wsIndex = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+        return this._getWindowsOnMonitorForWorkspace(monitorIndex, wsIndex)
+            .filter(win => win !== exclude)
+            .map(win => [win, win.get_frame_rect()]);
+    }
+
+    // A rect the size of `rect` just outside the edge of monitorGeo that is entered going `direction`
+    // (keeps the position across the direction, so the entered monitor's windows level with it win)
+    _getEdgeEntryRect(rect, monitorGeo, direction) {
+        const entry = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+        if (direction === 'right') entry.x = monitorGeo.x - rect.width;
+        else if (direction === 'left') entry.x = monitorGeo.x + monitorGeo.width;
+        else if (direction === 'down') entry.y = monitorGeo.y - rect.height;
+        else entry.y = monitorGeo.y + monitorGeo.height;
+        return entry;
+    }
+
+    _warpPointerToWindow(window) {
+        const rect = window.get_frame_rect();
+        const seat = Clutter.get_default_backend().get_default_seat();
+        seat.warp_pointer(Math.floor(rect.x + rect.width / 2), Math.floor(rect.y + rect.height / 2));
+    }
+
+    // Focus the nearest window in a direction; past the last one, continue onto the adjacent monitor
+    _focusDirection(direction) {
+        const origin = this._getDirectionalOrigin();
+        const candidates = this._getDirectionalCandidates(origin.monitorIndex, origin.window);
+        const window = findNearestInDirection(origin.rect, candidates, direction);
+        if (window) {
+            this._debugLog(`FOCUS ${direction}: "${window.get_title()}"`);
+            window.activate(global.get_current_time());
+            return;
+        }
+
+        const nextMonitor = findAdjacentMonitor(this._getMonitorRects(), origin.monitorIndex, direction);
+        if (nextMonitor === -1) return;
+
+        const nextGeo = global.display.get_monitor_geometry(nextMonitor);
+        const entry = this._getEdgeEntryRect(origin.rect, nextGeo, direction);
+        const nextWindow = findNearestInDirection(entry, this._getDirectionalCandidates(nextMonitor), direction);
+        if (!nextWindow) {
+            // Nothing to focus there: go to the monitor anyway
+            this._warpPointerToMonitor(nextMonitor);
+            return;
+        }
+
+        this._debugLog(`FOCUS ${direction}: "${nextWindow.get_title()}" on M${nextMonitor}`);
+
+        // Pointer first, so the focus is not corrected back to the pointer's monitor
+        this._warpPointerToWindow(nextWindow);
+        nextWindow.activate(global.get_current_time());
+        if (this._indicatorManager) {
+            this._indicatorManager.updateHighlight();
+        }
+    }
+
+    // Move the focused window in a direction: into the neighboring frame (frames layout),
+    // else swap with the nearest window that way, else across the edge onto the adjacent monitor
+    _moveWindowDirection(direction) {
+        const origin = this._getDirectionalOrigin();
+        const window = origin.window;
+        if (!window) return;
+
+        const monitorIndex = origin.monitorIndex;
+        const wsIndex = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+        const tiledWindows = this._tilingManager?.isTiled(wsIndex)
+            ? this._getTiledWindows(monitorIndex, wsIndex)
+            : [];
+
+        if (tiledWindows.includes(window) && this._tilingManager.isFrameLayout(wsIndex)) {
+            const workArea = global.workspace_manager.get_active_workspace().get_work_area_for_monitor(monitorIndex);
+            this._tilingManager.orderWindows(wsIndex, tiledWindows);
+            if (this._tilingManager.moveWindowToFrame(wsIndex, window, direction, workArea)) {
+                this._debugLog(`MOVE ${direction}: "${window.get_title()}" to the next frame`);
+                this._retileMonitor(monitorIndex, wsIndex);
+                if (this._settings.get_boolean('warp-pointer-to-focus')) {
+                    this._warpPointerToWindow(window);
+                }
+                return;
+            }
+        }
+
+        const candidates = this._getDirectionalCandidates(monitorIndex, window);
+        const target = findNearestInDirection(origin.rect, candidates, direction);
+        if (!target) {
+            this._moveWindowAcrossMonitorEdge(window, monitorIndex, direction);
+            return;
+        }
+
+        this._debugLog(`MOVE ${direction}: "${window.get_title()}" <-> "${target.get_title()}"`);
+        if (tiledWindows.includes(window) && tiledWindows.includes(target)) {
+            // Tiled: exchange places in the layout and let it position both
+            this._tilingManager.orderWindows(wsIndex, tiledWindows);
+            this._tilingManager.swapWindows(wsIndex, window, target);
+            this._retileMonitor(monitorIndex, wsIndex);
+            if (this._settings.get_boolean('warp-pointer-to-focus')) {
+                this._warpPointerToWindow(window);
+            }
+        } else {
+            this._swapWindowGeometry(window, target);
+        }
+    }
+
+    // Move a window onto the adjacent monitor, entering at the edge crossed
+    // The window joins the workspace that monitor displays; the pointer follows it
+    _moveWindowAcrossMonitorEdge(window, monitorIndex, direction) {
+        const nextMonitor = findAdjacentMonitor(this._getMonitorRects(), monitorIndex, direction);
+        if (nextMonitor === -1) return;
+
+        const fromWs = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+        const toWs = this._monitorWorkspaceMap.get(nextMonitor) ?? 0;
+        const activeWs = global.workspace_manager.get_active_workspace();
+        const fromGeo = global.display.get_monitor_geometry(monitorIndex);
+        const toArea = activeWs.get_work_area_for_monitor(nextMonitor);
+        const rect = window.get_frame_rect();
+
+        // Position across the direction is kept relative to the monitor; clamp to the work area
+        let x = toArea.x + rect.x - fromGeo.x;
+        let y = toArea.y + rect.y - fromGeo.y;
+        if (direction === 'right') x = toArea.x;
+        else if (direction === 'left') x = toArea.x + toArea.width - rect.width;
+        else if (direction === 'down') y = toArea.y;
+        else y = toArea.y + toArea.height - rect.height;
+        x = Math.max(toArea.x, Math.min(x, toArea.x + toArea.width - rect.width));
+        y = Math.max(toArea.y, Math.min(y, toArea.y + toArea.height - rect.height));
+
+        // Maximized and fullscreen windows are re-fitted by move_to_monitor
+        if (!window.get_maximized() && !window.is_fullscreen()) {
+            window.move_frame(false, x, y);
+        }
+        window.move_to_monitor(nextMonitor);
+        window.change_workspace(activeWs);
+
+        const windowId = this._getWindowId(window);
+        this._savedWindowPositions.delete(windowId);
+        this._lastWindowPerWorkspace.set(toWs, windowId);
+        this._debugLog(`MOVE ${direction}: "${window.get_title()}" from M${monitorIndex} (WS${fromWs}) to M${nextMonitor} (WS${toWs})`);
+
+        this._dbusService?.emitWindowMoved(windowId, fromWs, toWs);
+        this._onStateChanged();
+
+        // Pointer follows the window so focus stays on it
+        this._warpPointerToWindow(window);
+        window.activate(global.get_current_time());
+        if (this._indicatorManager) {
+            this._indicatorManager.updateHighlight();
+        }
+    }
+
+    // ========== Tiling ==========
+
+    // Re-tile all monitors shortly (coalesces bursts of window/state changes)
+    _scheduleRetile() {
+        if (!this._tilingManager?.isEnabled()) return;
+
+        if (this._retileTimeoutId) {
+            this._cancelManagedTimeout(this._retileTimeoutId);
+        }
+        this._retileTimeoutId = this._addManagedTimeout(RETILE_DELAY_MS, () => {
+            this._retileTimeoutId = null;
+            this._retileAll();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _retileAll() {
+        if (!this._tilingManager?.isEnabled()) return;
+
+        for (const [monitorIndex, wsIndex] of this._monitorWorkspaceMap) {
+            this._retileMonitor(monitorIndex, wsIndex);
+        }
+    }
+
+    // Arrange the tiled windows of the workspace a monitor shows
+    _retileMonitor(monitorIndex, wsIndex) {
+        if (!this._tilingManager.isTiled(wsIndex)) return;
+
+        const workArea = global.workspace_manager.get_active_workspace().get_work_area_for_monitor(monitorIndex);
+        const windows = this._getTiledWindows(monitorIndex, wsIndex);
+        this._tilingManager.arrange(wsIndex, workArea, windows);
+    }
+
+    // Windows taking part in tiling: resizable top-level windows, not floating or fullscreen
+    _getTiledWindows(monitorIndex, wsIndex) {
+        return this._getWindowsOnMonitorForWorkspace(monitorIndex, wsIndex).filter(win => {
+            if (win.get_transient_for()) return false;
+            if (win.is_fullscreen()) return false;
+            if (!win.allows_resize()) return false;
+            if (this._tilingManager.isFloating(win)) return false;
+            return !this._windowsPendingPlacement.has(this._getWindowId(win));
+        });
+    }
+
+    // Show the next layout on the current monitor's workspace
+    _cycleLayout() {
+        const monitorIndex = this._getMonitorAtPointer();
+        const wsIndex = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+        const layout = this._tilingManager.cycleLayout(wsIndex);
+        const label = LAYOUTS.find(l => l.id === layout)?.label ?? layout;
+
+        this._debugLog(`LAYOUT: WS${wsIndex} -> ${layout}`);
+        Main.osdWindowManager.show(monitorIndex, Gio.ThemedIcon.new('view-grid-symbolic'), label);
+    }
+
+    _adjustMasterRatio(delta) {
+        const wsIndex = this._monitorWorkspaceMap.get(this._getMonitorAtPointer()) ?? 0;
+        this._tilingManager.adjustMasterRatio(wsIndex, delta);
+    }
+
+    _adjustMasterCount(delta) {
+        const wsIndex = this._monitorWorkspaceMap.get(this._getMonitorAtPointer()) ?? 0;
+        this._tilingManager.adjustMasterCount(wsIndex, delta);
+    }
+
+    // Take the focused window out of tiling, or put it back
+    _toggleFloating() {
+        const window = global.display.get_focus_window();
+        if (!window || window.get_window_type() !== Meta.WindowType.NORMAL) return;
+
+        const floating = !this._tilingManager.isFloating(window);
+        this._tilingManager.setFloating(window, floating);
+        this._debugLog(`FLOATING: "${window.get_title()}" ${floating}`);
+        this._scheduleRetile();
+    }
+
+    // Swap the focused window with the next/previous one in layout order
+    // Returns false when the current workspace is not tiled
+    _swapTiledWindow(forward) {
+        const monitorIndex = this._getMonitorAtPointer();
+        const wsIndex = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+        if (!this._tilingManager?.isTiled(wsIndex)) return false;
+
+        const focusedWindow = global.display.get_focus_window();
+        if (!focusedWindow) return true;
+
+        // Refresh the order before swapping in it
+        const windows = this._getTiledWindows(monitorIndex, wsIndex);
+        this._tilingManager.orderWindows(wsIndex, windows);
+        if (!this._tilingManager.swapWithNeighbor(wsIndex, focusedWindow, forward)) return true;
+
+        this._debugLog(`Swapping "${focusedWindow.get_title()}" in layout order (${forward ? 'next' : 'previous'})`);
+        this._retileMonitor(monitorIndex, wsIndex);
+
+        // Keep the pointer on the swapped window
+        if (this._settings.get_boolean('warp-pointer-to-focus')) {
+            const rect = focusedWindow.get_frame_rect();
+            const seat = Clutter.get_default_backend().get_default_seat();
+            seat.warp_pointer(Math.floor(rect.x + rect.width / 2), Math.floor(rect.y + rect.height / 2));
+        }
+        return true;
+    }
+
+    // ========== Frames ==========
+
+    // Monitor and workspace under the pointer, if that workspace uses the frames layout
+    _getFrameTarget() {
+        const monitorIndex = this._getMonitorAtPointer();
+        const wsIndex = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+        if (!this._tilingManager?.isFrameLayout(wsIndex)) return null;
+
+        const workArea = global.workspace_manager.get_active_workspace().get_work_area_for_monitor(monitorIndex);
+        return { monitorIndex, wsIndex, workArea };
+    }
+
+    // Re-tile right away and outline the focused frame
+    _applyFrameChange(target) {
+        this._retileMonitor(target.monitorIndex, target.wsIndex);
+
+        const tree = this._tilingManager.getFrameTree(target.wsIndex);
+        const rect = this._tilingManager.getFrameRects(target.wsIndex, target.workArea).get(tree.focused);
+        if (rect) this._frameHighlighter?.flash(rect);
+    }
+
+    _splitFrame(orientation) {
+        const target = this._getFrameTarget();
+        if (!target) return;
+
+        this._tilingManager.getFrameTree(target.wsIndex).split(orientation);
+        this._debugLog(`FRAME: split ${orientation} on WS${target.wsIndex}`);
+        this._applyFrameChange(target);
+    }
+
+    _removeFrame() {
+        const target = this._getFrameTarget();
+        if (!target) return;
+
+        if (!this._tilingManager.getFrameTree(target.wsIndex).removeFocused()) return;
+        this._debugLog(`FRAME: removed frame on WS${target.wsIndex}`);
+        this._applyFrameChange(target);
+    }
+
+    _resizeFrame(direction) {
+        const target = this._getFrameTarget();
+        if (!target) return;
+
+        if (!this._tilingManager.getFrameTree(target.wsIndex).resizeFocused(direction, FRAME_RESIZE_STEP)) return;
+        this._applyFrameChange(target);
+    }
+
+    // Focus the neighboring frame: its first window, or nothing if the frame is empty
+    _focusFrame(direction) {
+        const target = this._getFrameTarget();
+        if (!target) return;
+
+        const tree = this._tilingManager.getFrameTree(target.wsIndex);
+        const leaf = tree.focusDirection(direction, target.workArea);
+        if (!leaf) return;
+
+        const window = leaf.windows
+            .map(id => this._findWindowById(id))
+            .find(win => win && !win.minimized);
+        if (window) {
+            window.activate(global.get_current_time());
+        } else {
+            this._unfocusAllWindows();
+        }
+        this._applyFrameChange(target);
+    }
+
+    // ========== Scratchpad ==========
+
+    // Scratchpad windows belong to no workspace: window lists and focus history skip them
+    _isScratchpadWindow(window) {
+        return this._scratchpad.has(this._getWindowId(window));
+    }
+
+    // Workspace hidden scratchpad windows are parked on: the first one past the numbered ones
+    _getScratchpadWorkspace() {
+        const wsIndex = this._getWorkspaceCount();
+        this._ensureWorkspaceExists(wsIndex);
+        return global.workspace_manager.get_workspace_by_index(wsIndex);
+    }
+
+    // Drop empty workspaces past the numbered ones (a scratchpad workspace left behind)
+    // Workspaces still holding windows stay, as do the ones before them
+    _trimExtraWorkspaces() {
+        const wsManager = global.workspace_manager;
+        const count = this._getWorkspaceCount();
+        for (let wsIndex = wsManager.get_n_workspaces() - 1; wsIndex >= count; wsIndex--) {
+            const workspace = wsManager.get_workspace_by_index(wsIndex);
+            if (workspace.list_windows().some(win => !win.is_on_all_workspaces())) break;
+
+            wsManager.remove_workspace(workspace, global.get_current_time());
+            this._debugLog(`SCRATCHPAD: Removed empty workspace WS${wsIndex}`);
+        }
+    }
+
+    // Before disable: summoned windows are parked like other windows of their monitor,
+    // hidden ones go to the active workspace, so nothing is left stuck or unreachable
+    // The scratchpad itself is kept; enable hides its windows again
+    _releaseScratchpadWindows() {
+        const activeWs = global.workspace_manager.get_active_workspace();
+        for (const [windowId] of this._scratchpad.entries()) {
+            const window = this._findWindowById(windowId);
+            if (!window) {
+                this._scratchpad.remove(windowId);
+                continue;
+            }
+
+            if (this._scratchpad.isShown(windowId)) {
+                const monitorIndex = window.get_monitor();
+                const monitorGeo = global.display.get_monitor_geometry(monitorIndex);
+                const rect = window.get_frame_rect();
+                window.unmake_above();
+                if (window.is_on_all_workspaces()) window.unstick();
+                this._parkWindowOnWorkspace(window, this._monitorWorkspaceMap.get(monitorIndex) ?? 0,
+                    rect.x - monitorGeo.x, rect.y - monitorGeo.y, rect.width, rect.height);
+                this._scratchpad.setShown(windowId, false);
+            } else {
+                window.change_workspace(activeWs);
+            }
+            this._debugLog(`SCRATCHPAD: Released "${window.get_title()}" for disable`);
+        }
+        this._trimExtraWorkspaces();
+    }
+
+    // After enable: hide the scratchpad windows released by disable
+    _rehideScratchpadWindows() {
+        for (const windowId of this._scratchpad.hiddenWindows()) {
+            const window = this._findWindowById(windowId);
+            if (window) {
+                this._hideScratchpadWindow(window);
+            } else {
+                this._scratchpad.remove(windowId);
+            }
+        }
+    }
+
+    // Park a scratchpad window on the scratchpad workspace (never displayed on any monitor)
+    _hideScratchpadWindow(window) {
+        const hadFocus = global.display.get_focus_window() === window;
 
-            const logicalWs = this._monitorWorkspaceMap.get(monitorIndex);
-            if (logicalWs === undefined) continue;
+        if (window.is_on_all_workspaces()) window.unstick();
+        window.move_to_monitor(global.display.get_primary_monitor());
+        window.change_workspace(this._getScratchpadWorkspace());
+        this._scratchpad.setShown(this._getWindowId(window), false);
+        this._debugLog(`SCRATCHPAD: Hid "${window.get_title()}"`);
 
-            const windowsOnMonitor = this._getWindowsOnMonitor(monitorIndex);
-            this._debugLog(`  M${monitorIndex} (WS${logicalWs}): ${windowsOnMonitor.length} windows`);
+        // Give focus to what is left under the pointer
+        if (hadFocus) {
+            const [pointerX, pointerY] = global.get_pointer();
+            this._focusWindowAtPosition(pointerX, pointerY, this._getMonitorAtPointer());
+        }
+    }
 
-            for (const window of windowsOnMonitor) {
-                const title = window.get_title?.() ?? 'unknown';
-                const shortTitle = title.length > 20 ? title.slice(0, 20) + '...' : title;
-                const rect = window.get_frame_rect();
+    // Summon a scratchpad window centered on a monitor, above other windows
+    // Sticky, so it stays put while the monitor switches workspaces
+    _showScratchpadWindow(window, monitorIndex) {
+        const workArea = global.workspace_manager.get_active_workspace().get_work_area_for_monitor(monitorIndex);
 
-                // Ensure window is on global WS (makes it visible/sticky on secondary)
-                window.change_workspace(currentGlobalWs);
+        if (window.minimized) window.unminimize();
+        if (window.get_maximized()) window.unmaximize(Meta.MaximizeFlags.BOTH);
 
-                // Re-apply position and size
-                window.move_resize_frame(false, rect.x, rect.y, rect.width, rect.height);
+        const rect = window.get_frame_rect();
+        const width = Math.min(rect.width, workArea.width);
+        const height = Math.min(rect.height, workArea.height);
+        const newX = workArea.x + Math.floor((workArea.width - width) / 2);
+        const newY = workArea.y + Math.floor((workArea.height - height) / 2);
+
+        window.move_resize_frame(false, newX, newY, width, height);
+        window.move_to_monitor(monitorIndex);
+        window.change_workspace(global.workspace_manager.get_active_workspace());
+        window.stick();
+        window.make_above();
+        this._scratchpad.setShown(this._getWindowId(window), true);
+        this._trimExtraWorkspaces();
+
+        this._debugLog(`SCRATCHPAD: Showed "${window.get_title()}" on M${monitorIndex} at (${newX},${newY})`);
+        window.activate(global.get_current_time());
+    }
 
-                // Delayed re-apply for tiling state preservation
-                const w = window, x = rect.x, y = rect.y, width = rect.width, height = rect.height;
-                this._addManagedTimeout(50, () => {
-                    if (!w.is_destroyed?.()) {
-                        w.move_resize_frame(false, x, y, width, height);
-                    }
-                    return GLib.SOURCE_REMOVE;
-                });
+    // Send the focused window to the default scratchpad, or give a scratchpad window back
+    // to the workspace its monitor shows
+    _toggleScratchpadWindow() {
+        const window = global.display.get_focus_window();
+        if (!window || window.get_window_type() !== Meta.WindowType.NORMAL) return;
 
-                this._debugLog(`    "${shortTitle}" refreshed at (${rect.x},${rect.y}) ${rect.width}x${rect.height}`);
-            }
+        const windowId = this._getWindowId(window);
+        if (this._scratchpad.has(windowId)) {
+            this._scratchpad.remove(windowId);
+            window.unmake_above();
+            if (window.is_on_all_workspaces()) window.unstick();
+            window.change_workspace(global.workspace_manager.get_active_workspace());
+            this._trimExtraWorkspaces();
+            this._debugLog(`SCRATCHPAD: Released "${window.get_title()}"`);
+        } else {
+            this._scratchpad.add(windowId, DEFAULT_SCRATCHPAD);
+            this._hideScratchpadWindow(window);
         }
-
-        console.log('[MultiMonitorsWorkspace] Secondary windows refreshed');
+        this._onStateChanged();
     }
 
-    // Restore secondary windows from saved mapping after enable()
-    // Windows are retrieved from their logical WS and moved to secondary monitors
-    _restoreSecondaryWindowsFromMapping() {
-        if (!this._savedMappingBeforeDisable || this._savedMappingBeforeDisable.size === 0) {
-            console.log('[MultiMonitorsWorkspace] No saved mapping to restore');
-            return;
+    // Show a scratchpad on the pointer's monitor, or hide it if it is shown there
+    // A scratchpad shown on another monitor comes over; a hidden one shows its next window
+    // Returns false when the scratchpad has no windows
+    _toggleScratchpad(name = DEFAULT_SCRATCHPAD) {
+        const windows = [];
+        for (const windowId of this._scratchpad.windowsOf(name)) {
+            const window = this._findWindowById(windowId);
+            if (window) {
+                windows.push(window);
+            } else {
+                this._scratchpad.remove(windowId);
+            }
         }
+        if (windows.length === 0) return false;
 
-        const nMonitors = global.display.get_n_monitors();
-        const primaryMonitor = global.display.get_primary_monitor();
-        const primaryGeo = global.display.get_monitor_geometry(primaryMonitor);
-        const currentGlobalWs = global.workspace_manager.get_active_workspace();
-
-        console.log('[MultiMonitorsWorkspace] Restoring secondary windows from mapping...');
+        const monitorIndex = this._getMonitorAtPointer();
+        const shown = windows.filter(win => this._scratchpad.isShown(this._getWindowId(win)));
+        const shownHere = shown.filter(win => this._getWindowMonitor(win) === monitorIndex);
 
-        // Restore mapping to _monitorWorkspaceMap
-        for (const [monitorIndex, wsIndex] of this._savedMappingBeforeDisable) {
-            this._monitorWorkspaceMap.set(monitorIndex, wsIndex);
+        if (shownHere.length > 0) {
+            shownHere.forEach(win => this._hideScratchpadWindow(win));
+        } else if (shown.length > 0) {
+            shown.forEach(win => this._showScratchpadWindow(win, monitorIndex));
+        } else {
+            this._showScratchpadWindow(windows[0], monitorIndex);
         }
+        this._onStateChanged();
+        return true;
+    }
 
-        let windowCount = 0;
-        for (let monitorIndex = 0; monitorIndex < nMonitors; monitorIndex++) {
-            if (monitorIndex === primaryMonitor) continue;
-
-            const logicalWs = this._savedMappingBeforeDisable.get(monitorIndex);
-            if (logicalWs === undefined) continue;
+    // ========== D-Bus Interface ==========
 
-            const monitorGeo = global.display.get_monitor_geometry(monitorIndex);
-            if (!monitorGeo) continue;
+    // Operations exported over D-Bus (monitor arguments are already resolved)
+    _createDBusService() {
+        return new DBusService({
+            switchWorkspace: (ws, monitor) => this._switchWorkspace(ws, monitor),
+            moveWindow: (ws, monitor) => this._moveMonitorWindowToWorkspace(ws, monitor),
+            moveWindowById: (windowId, ws) => {
+                const window = this._findWindowById(windowId);
+                return window ? this._moveWindowToWorkspace(ws, window) : false;
+            },
+            swapWorkspaces: (monitor1, monitor2) => this._swapMonitorWorkspaces(monitor1, monitor2),
+            warpToMonitor: monitor => this._warpToMonitor(monitor),
+            getPointerMonitor: () => this._getMonitorAtPointer(),
+            getWorkspaceMap: () => this._monitorWorkspaceMap,
+            getWorkspaceWindows: ws => this._getWorkspaceWindowInfo(ws),
+            getState: () => this._collectState(),
+            getWorkspaceCount: () => this._getWorkspaceCount(),
+            toggleScratchpad: name => this._toggleScratchpad(name),
+        });
+    }
 
-            // Get windows from their logical WS
-            const windowsOnWs = this._getWindowsOnWorkspace(logicalWs);
+    // Emit WorkspaceSwitched for every monitor whose WS differs from previousMap
+    _emitWorkspaceChanges(previousMap, mode) {
+        if (!this._dbusService) return;
 
-            for (const window of windowsOnWs) {
-                const title = window.get_title?.() ?? 'unknown';
-                const rect = window.get_frame_rect();
+        for (const [monitorIndex, wsIndex] of this._monitorWorkspaceMap) {
+            const previousWs = previousMap.get(monitorIndex) ?? -1;
+            if (previousWs !== wsIndex) {
+                this._dbusService.emitWorkspaceSwitched(monitorIndex, previousWs, wsIndex, mode);
+            }
+        }
+    }
 
-                // Calculate relative position (window is on primary)
-                const relX = rect.x - primaryGeo.x;
-                const relY = rect.y - primaryGeo.y;
+    // Emit FocusedMonitorChanged when focus lands on another monitor
+    _updateFocusedMonitor(monitorIndex) {
+        if (monitorIndex < 0 || monitorIndex === this._focusedMonitor) return;
 
-                // Move to secondary monitor
-                const newX = monitorGeo.x + relX;
-                const newY = monitorGeo.y + relY;
-                window.move_resize_frame(false, newX, newY, rect.width, rect.height);
-                window.move_to_monitor(monitorIndex);
-                window.change_workspace(currentGlobalWs);
+        this._focusedMonitor = monitorIndex;
+        const wsIndex = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+        this._dbusService?.emitFocusedMonitorChanged(monitorIndex, wsIndex);
+    }
 
-                // Delayed re-apply for stability
-                const w = window, x = newX, y = newY, width = rect.width, height = rect.height;
-                this._addManagedTimeout(50, () => {
-                    if (!w.is_destroyed?.()) {
-                        w.move_resize_frame(false, x, y, width, height);
-                    }
-                    return GLib.SOURCE_REMOVE;
-                });
+    // Move the last focused window of a monitor (monitorIndex -1: the focused window)
+    _moveMonitorWindowToWorkspace(targetWs, monitorIndex) {
+        if (monitorIndex < 0) {
+            return this._moveWindowToWorkspace(targetWs);
+        }
 
-                windowCount++;
-                console.log(`[MultiMonitorsWorkspace] Restored "${title}" to M${monitorIndex} at (${newX},${newY})`);
-            }
+        const displayWs = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+        const lastWindowId = this._lastWindowPerWorkspace.get(displayWs);
+        const window = lastWindowId ? this._findWindowById(lastWindowId) : null;
+        if (!window || this._getWindowMonitor(window) !== monitorIndex) {
+            return false;
         }
+        return this._moveWindowToWorkspace(targetWs, window);
+    }
 
-        // Clear saved mapping
-        this._savedMappingBeforeDisable.clear();
-        console.log(`[MultiMonitorsWorkspace] Restored ${windowCount} windows`);
+    // Exchange the workspaces shown on two monitors
+    _swapMonitorWorkspaces(monitor1, monitor2) {
+        if (monitor1 === monitor2) return;
 
-        this._logMappings('After Restore');
+        const [savedPointerX, savedPointerY] = global.get_pointer();
+        const ws1 = this._monitorWorkspaceMap.get(monitor1) ?? 0;
+        const ws2 = this._monitorWorkspaceMap.get(monitor2) ?? 0;
+
+        this._debugLog(`\n========== SWAP REQUEST ==========`);
+        this._debugDumpState('BEFORE Swap');
+
+        this._performSwap(monitor1, monitor2, ws1, ws2);
+        const previousMap = new Map([[monitor1, ws1], [monitor2, ws2]]);
+        this._workspaceHistory.record(previousMap, this._monitorWorkspaceMap);
+        this._emitWorkspaceChanges(previousMap, 'swap');
+        this._dbusService?.emitWorkspacesSwapped(monitor1, monitor2, ws1, ws2);
 
         // Update workspace indicator
         if (this._indicatorManager) {
@@ -1701,6 +3449,112 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         if (this._wallpaperManager) {
             this._wallpaperManager.update(this._monitorWorkspaceMap);
         }
+
+        this._restorePointerPosition(savedPointerX, savedPointerY);
+        this._onStateChanged();
+
+        this._debugDumpState('AFTER Swap');
+        this._debugLog(`========== END SWAP ==========\n`);
+    }
+
+    // Describe the windows belonging to a workspace (shown or hidden)
+    _getWorkspaceWindowInfo(wsIndex) {
+        const displayMonitor = this._getMonitorForWorkspace(wsIndex);
+        const focusWindow = global.display.get_focus_window();
+
+        return this._getWorkspaceMembers(wsIndex).map(window => ({
+            id: this._getWindowId(window),
+            title: window.get_title?.() ?? '',
+            wmClass: window.get_wm_class?.() ?? '',
+            monitor: displayMonitor ?? -1,
+            minimized: window.minimized,
+            focused: window === focusWindow,
+        }));
+    }
+
+    // Workspace indicator with the operations its boxes and menu trigger
+    // Picking a workspace for a monitor swaps it in rather than warping, like cycling
+    _createIndicatorManager() {
+        return new WorkspaceIndicatorManager(this._settings, {
+            switchWorkspace: (ws, monitor) => this._switchWorkspace(ws, monitor, false),
+            cycleWorkspace: (monitor, forward) => this._cycleWorkspace(forward, monitor),
+            warpToMonitor: monitor => this._warpToMonitor(monitor),
+            getWorkspaceMap: () => this._monitorWorkspaceMap,
+            getWorkspaceStates: () => this._getWorkspaceStates(),
+            getWorkspaceWindows: ws => this._getVisibleWorkspaceWindows(ws),
+            getFocusedMonitor: () => (this._focusedMonitor >= 0 ? this._focusedMonitor : this._getMonitorAtPointer()),
+        });
+    }
+
+    // Windows belonging to a workspace, shown or hidden
+    // Secondary windows are sticky, so membership there is by monitor
+    _getWorkspaceMembers(wsIndex) {
+        const displayMonitor = this._getMonitorForWorkspace(wsIndex);
+        if (displayMonitor !== null && displayMonitor !== global.display.get_primary_monitor()) {
+            return this._getWindowsOnMonitor(displayMonitor, true);
+        }
+        return this._getWindowsOnWorkspace(wsIndex);
+    }
+
+    // Windows a workspace shows, topmost first (banner window list, indicator preview)
+    // Displayed: the visible windows of its monitor; hidden: those left on its GNOME workspace
+    _getVisibleWorkspaceWindows(wsIndex) {
+        const displayMonitor = this._getMonitorForWorkspace(wsIndex);
+        const windows = displayMonitor !== null
+            ? this._getWindowsOnMonitorForWorkspace(displayMonitor, wsIndex)
+            : this._getWindowsOnWorkspace(wsIndex).filter(win => !win.minimized);
+        return global.display.sort_windows_by_stacking(windows).reverse();
+    }
+
+    // Window actors of a workspace placed on a monitor-sized area, bottom first (switcher thumbnails)
+    // Displayed: where they are on their monitor; hidden: where they will come back, from the
+    // positions saved when the workspace was hidden (relative to the monitor that showed it)
+    _getWorkspaceThumbnailLayout(wsIndex, monitorIndex) {
+        const displayMonitor = this._getMonitorForWorkspace(wsIndex);
+        const areaGeo = global.display.get_monitor_geometry(displayMonitor ?? monitorIndex);
+        const windows = displayMonitor !== null
+            ? this._getWindowsOnMonitorForWorkspace(displayMonitor, wsIndex)
+            : this._getWindowsOnWorkspace(wsIndex).filter(win => !win.minimized);
+
+        const layout = [];
+        for (const window of global.display.sort_windows_by_stacking(windows)) {
+            const actor = window.get_compositor_private();
+            if (!actor) continue;
+
+            const frame = window.get_frame_rect();
+            let relX, relY;
+            const savedPos = displayMonitor === null
+                ? this._savedWindowPositions.get(this._getWindowId(window))
+                : null;
+            if (savedPos && savedPos.wsIndex === wsIndex) {
+                relX = savedPos.relX;
+                relY = savedPos.relY;
+            } else {
+                const geo = displayMonitor !== null
+                    ? areaGeo
+                    : global.display.get_monitor_geometry(window.get_monitor());
+                relX = frame.x - geo.x;
+                relY = frame.y - geo.y;
+            }
+
+            // The actor covers the buffer (client-side shadows), offset from the frame
+            const buffer = window.get_buffer_rect();
+            layout.push({ actor, x: relX + buffer.x - frame.x, y: relY + buffer.y - frame.y });
+        }
+        return { width: areaGeo.width, height: areaGeo.height, windows: layout };
+    }
+
+    // Occupied/urgent state of every workspace (indicator menu)
+    _getWorkspaceStates() {
+        const states = [];
+        for (let wsIndex = 0; wsIndex < this._getWorkspaceCount(); wsIndex++) {
+            const windows = this._getWorkspaceMembers(wsIndex);
+            states.push({
+                occupied: windows.length > 0,
+                urgent: windows.some(win => win.urgent || win.demands_attention),
+            });
+        }
+        return states;
     }
 
     _disconnectSignals() {
@@ -1710,12 +3564,13 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         this._signalIds = [];
     }
 
-    _switchWorkspace(targetWs) {
+    // Switch a monitor to targetWs (monitorIndex -1: the monitor under the pointer)
+    _switchWorkspace(targetWs, monitorIndex = -1, allowWarp = true) {
         // Save mouse pointer position before any window operations
         const [savedPointerX, savedPointerY] = global.get_pointer();
 
-        // Get current monitor from mouse pointer position
-        const currentMonitor = this._getMonitorAtPointer();
+        // Get current monitor from mouse pointer position unless given explicitly
+        const currentMonitor = monitorIndex >= 0 ? monitorIndex : this._getMonitorAtPointer();
         const primaryMonitor = global.display.get_primary_monitor();
         const previousWs = this._monitorWorkspaceMap.get(currentMonitor) ?? 0;
 
@@ -1729,9 +3584,6 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             return;
         }
 
-        // Ensure target workspace exists
-        this._ensureWorkspaceExists(targetWs);
-
         // Check for swap: is targetWs already displayed on another monitor?
         const existingMonitor = this._getMonitorForWorkspace(targetWs);
 
@@ -1739,7 +3591,7 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             // Target WS is already on another monitor
             const switchMode = this._settings.get_string('workspace-switch-mode');
 
-            if (switchMode === 'warp') {
+            if (switchMode === 'warp' && allowWarp) {
                 // Warp mode: just move pointer to the monitor showing target WS
                 this._debugLog(`Mode: WARP (WS${targetWs} already on M${existingMonitor}, moving pointer there)`);
                 this._warpPointerToMonitor(existingMonitor);
@@ -1757,22 +3609,18 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
                 this._debugLog(`========== END SWITCH (WARP) ==========\n`);
                 return;
             }
+        }
 
-            // Swap mode: exchange workspaces between monitors
-            this._debugLog(`Mode: SWAP (WS${targetWs} already on M${existingMonitor})`);
-            this._performSwap(currentMonitor, existingMonitor, previousWs, targetWs);
-        } else {
-            this._debugLog(`Mode: SIMPLE SWITCH`);
-
-            if (currentMonitor === primaryMonitor) {
-                // Primary monitor: change global WS
-                this._simpleSwitch_Primary(currentMonitor, previousWs, targetWs);
-            } else {
-                // Secondary monitor: keep global WS, use WS membership to hide/show
-                this._simpleSwitch_Secondary(currentMonitor, previousWs, targetWs);
-            }
+        // Swap with the monitor showing targetWs, or simple switch
+        const previousMap = new Map(this._monitorWorkspaceMap);
+        this._setMonitorWorkspace(currentMonitor, targetWs);
+        this._workspaceHistory.record(previousMap, this._monitorWorkspaceMap);
 
-            this._monitorWorkspaceMap.set(currentMonitor, targetWs);
+        if (existingMonitor !== null && existingMonitor !== currentMonitor) {
+            this._emitWorkspaceChanges(previousMap, 'swap');
+            this._dbusService?.emitWorkspacesSwapped(currentMonitor, existingMonitor, previousWs, targetWs);
+        } else {
+            this._emitWorkspaceChanges(previousMap, 'switch');
         }
 
         // Update workspace indicator
@@ -1785,9 +3633,9 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             this._wallpaperManager.update(this._monitorWorkspaceMap);
         }
 
-        // Show popup banner
+        // Show popup banner (on both monitors of a swap if configured)
         if (this._popupBanner) {
-            this._popupBanner.show(currentMonitor, targetWs);
+            this._popupBanner.show(currentMonitor, targetWs, existingMonitor ?? -1);
         }
 
         // Restore mouse pointer position if it moved during window operations
@@ -1816,10 +3664,121 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             return GLib.SOURCE_REMOVE;
         });
 
+        this._onStateChanged();
+
         this._debugDumpState('AFTER Switch');
         this._debugLog(`========== END SWITCH ==========\n`);
     }
 
+    // Workspace key pressed: with auto back-and-forth, the key of the workspace already
+    // shown on the pointer's monitor goes back to the previous one instead
+    _switchWorkspaceFromKey(targetWs) {
+        const currentWs = this._monitorWorkspaceMap.get(this._getMonitorAtPointer()) ?? 0;
+        if (targetWs === currentWs && this._settings.get_boolean('workspace-auto-back-and-forth')) {
+            this._switchToPreviousWorkspace();
+            return;
+        }
+        this._switchWorkspace(targetWs);
+    }
+
+    // Show the workspace the pointer's monitor displayed before, swapping it back
+    // from another monitor if needed (never warps: the point is to see it here)
+    _switchToPreviousWorkspace() {
+        const monitorIndex = this._getMonitorAtPointer();
+        const currentWs = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+        const previousWs = this._workspaceHistory.pop(monitorIndex, currentWs, this._getWorkspaceCount());
+        if (previousWs === -1) {
+            this._debugLog(`PREVIOUS: no history on M${monitorIndex}`);
+            return;
+        }
+
+        this._debugLog(`PREVIOUS: M${monitorIndex} WS${currentWs} -> WS${previousWs}`);
+        this._switchWorkspace(previousWs, monitorIndex, false);
+    }
+
+    // Show the next/previous workspace on a monitor (the pointer's by default)
+    // Never warps: cycling stays on the monitor, swapping in workspaces shown elsewhere
+    _cycleWorkspace(forward, monitorIndex = -1) {
+        const monitor = monitorIndex >= 0 ? monitorIndex : this._getMonitorAtPointer();
+        const targetWs = this._getCycleTarget(monitor, forward);
+        if (targetWs === -1) {
+            this._debugLog(`CYCLE: no ${forward ? 'next' : 'previous'} workspace for M${monitor}`);
+            return;
+        }
+        this._switchWorkspace(targetWs, monitor, false);
+    }
+
+    // Workspace after (or before) the one a monitor shows, following the cycle options
+    // Returns -1 at the end without wrap-around, or when every other workspace is skipped
+    _getCycleTarget(monitorIndex, forward) {
+        const count = this._getWorkspaceCount();
+        const currentWs = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+        const wrap = this._settings.get_boolean('workspace-cycle-wrap');
+        const skipVisible = this._settings.get_boolean('workspace-cycle-skip-visible');
+        const skipEmpty = this._settings.get_boolean('workspace-cycle-skip-empty');
+
+        for (let step = 1; step < count; step++) {
+            let wsIndex = currentWs + (forward ? step : -step);
+            if (wrap) {
+                wsIndex = (wsIndex + count) % count;
+            } else if (wsIndex < 0 || wsIndex >= count) {
+                return -1;
+            }
+
+            if (skipVisible && this._getMonitorForWorkspace(wsIndex) !== null) continue;
+            if (skipEmpty && !this._workspaceHasWindows(wsIndex)) continue;
+            return wsIndex;
+        }
+        return -1;
+    }
+
+    // Whether a workspace holds any normal window (minimized ones included)
+    _workspaceHasWindows(wsIndex) {
+        const displayMonitor = this._getMonitorForWorkspace(wsIndex);
+        const windows = global.get_window_actors()
+            .map(actor => actor.get_meta_window())
+            .filter(win => win && win.get_window_type() === Meta.WindowType.NORMAL)
+            .filter(win => !this._isScratchpadWindow(win));
+
+        // Windows on a secondary monitor are sticky: they belong to the workspace it shows
+        if (displayMonitor !== null && displayMonitor !== global.display.get_primary_monitor()) {
+            return windows.some(win => this._getWindowMonitor(win) === displayMonitor);
+        }
+        return windows.some(win => !win.is_on_all_workspaces() && win.get_workspace()?.index() === wsIndex);
+    }
+
+    // Show targetWs on a monitor (window moves and mapping only, no pointer/focus/banner)
+    // Swaps with the monitor already showing targetWs, otherwise does a simple switch
+    _setMonitorWorkspace(monitorIndex, targetWs) {
+        const primaryMonitor = global.display.get_primary_monitor();
+        const previousWs = this._monitorWorkspaceMap.get(monitorIndex) ?? 0;
+
+        if (targetWs === previousWs) return;
+
+        // Ensure target workspace exists
+        this._ensureWorkspaceExists(targetWs);
+
+        const existingMonitor = this._getMonitorForWorkspace(targetWs);
+
+        if (existingMonitor !== null && existingMonitor !== monitorIndex) {
+            // Swap mode: exchange workspaces between monitors
+            this._debugLog(`Mode: SWAP (WS${targetWs} already on M${existingMonitor})`);
+            this._performSwap(monitorIndex, existingMonitor, previousWs, targetWs);
+        } else {
+            this._debugLog(`Mode: SIMPLE SWITCH`);
+
+            if (monitorIndex === primaryMonitor) {
+                // Primary monitor: change global WS
+                this._simpleSwitch_Primary(monitorIndex, previousWs, targetWs);
+            } else {
+                // Secondary monitor: keep global WS, use WS membership to hide/show
+                this._simpleSwitch_Secondary(monitorIndex, previousWs, targetWs);
+            }
+
+            this._monitorWorkspaceMap.set(monitorIndex, targetWs);
+        }
+    }
+
     // Restore mouse pointer to saved position if it has moved
     // Uses delayed execution to handle GNOME's async focus handling
     _restorePointerPosition(savedX, savedY) {
@@ -2028,7 +3987,16 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         }
 
         // Step 2: Bring windows from targetWs to this secondary monitor
-        // Look for windows on PRIMARY that belong to targetWs
+        this._bringWorkspaceWindowsToSecondary(monitorIndex, targetWs);
+    }
+
+    // Bring windows of a (hidden) workspace from primary to a secondary monitor
+    // Look for windows on PRIMARY that belong to wsIndex and make them visible there
+    _bringWorkspaceWindowsToSecondary(monitorIndex, targetWs) {
+        const monitorGeo = global.display.get_monitor_geometry(monitorIndex);
+        const primaryMonitor = global.display.get_primary_monitor();
+        const primaryGeo = global.display.get_monitor_geometry(primaryMonitor);
+
         // IMPORTANT: Include hidden windows since targetWs may not be the current global WS
         const primaryWindows = this._getWindowsOnMonitor(primaryMonitor, true);
         const targetWsObj = global.workspace_manager.get_workspace_by_index(targetWs);
@@ -2144,6 +4112,7 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             if (window.is_skip_taskbar()) continue;
             if (window.get_window_type() !== Meta.WindowType.NORMAL) continue;
             if (!includeHidden && window.is_hidden()) continue;
+            if (this._isScratchpadWindow(window)) continue;
 
             const rect = window.get_frame_rect();
             // Check if window center is within this monitor
@@ -2172,6 +4141,7 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
                 if (w.get_window_type() !== Meta.WindowType.NORMAL) return false;
                 // Skip sticky windows (on all workspaces, ws=-1)
                 if (w.is_on_all_workspaces()) return false;
+                if (this._isScratchpadWindow(w)) return false;
                 return w.get_workspace() === workspace;
             });
     }
@@ -2559,6 +4529,21 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
             this._sessionModeTimeoutId = null;
         }
 
+        if (this._stateSaveTimeoutId) {
+            this._cancelManagedTimeout(this._stateSaveTimeoutId);
+            this._stateSaveTimeoutId = null;
+        }
+
+        if (this._restoreMatchTimeoutId) {
+            this._cancelManagedTimeout(this._restoreMatchTimeoutId);
+            this._restoreMatchTimeoutId = null;
+        }
+
+        if (this._retileTimeoutId) {
+            this._cancelManagedTimeout(this._retileTimeoutId);
+            this._retileTimeoutId = null;
+        }
+
         // Clear all remaining pending timeouts
         for (const id of this._pendingTimeoutIds) {
             try {
@@ -2599,59 +4584,89 @@ export default class MultiMonitorsWorkspaceExtension extends Extension {
         console.log(`[MMW-DEBUG] ${message}`);
     }
 
-    _debugDumpState(label) {
-        this._debugLog(`--- ${label} ---`);
-
-        // Current monitor (mouse position)
+    // Snapshot of monitors and windows (debug dump, D-Bus GetState)
+    _collectState() {
         const [pointerX, pointerY] = global.get_pointer();
-        const currentMonitor = this._getMonitorAtPointer();
-        this._debugLog(`Current: M${currentMonitor} (pointer at ${pointerX},${pointerY})`);
-
-        // Monitor -> Workspace mappings
         const nMonitors = global.display.get_n_monitors();
         const primaryMonitor = global.display.get_primary_monitor();
-        const mappings = [];
+
+        // Monitor -> Workspace mappings
+        const names = this._settings.get_strv('workspace-names');
+        const monitors = [];
         for (let i = 0; i < nMonitors; i++) {
-            const ws = this._monitorWorkspaceMap.get(i) ?? '?';
             const geo = global.display.get_monitor_geometry(i);
-            const primary = i === primaryMonitor ? '*' : '';
-            mappings.push(`M${i}${primary}:WS${ws}(${geo.x},${geo.y})`);
+            const wsIndex = this._monitorWorkspaceMap.get(i) ?? null;
+            monitors.push({
+                index: i,
+                workspace: wsIndex,
+                workspaceName: wsIndex === null ? '' : getWorkspaceName(names, wsIndex),
+                primary: i === primaryMonitor,
+                connector: this._monitorIdentities.get(i)?.connector || null,
+                geometry: { x: geo.x, y: geo.y, width: geo.width, height: geo.height },
+            });
         }
-        this._debugLog(`Mappings: [${mappings.join(', ')}]`);
 
         // All windows with their WS and coordinates
-        this._debugLog('Windows:');
-        let winCount = 0;
+        const windows = [];
         for (const actor of global.get_window_actors()) {
             const window = actor.get_meta_window();
             if (!window) continue;
             if (window.is_skip_taskbar()) continue;
             if (window.get_window_type() !== Meta.WindowType.NORMAL) continue;
 
-            winCount++;
-            const title = window.get_title?.() ?? 'unknown';
-            const shortTitle = title.length > 20 ? title.slice(0, 20) + '...' : title;
-            const wsIndex = window.get_workspace()?.index() ?? -1;
-            const sticky = window.is_on_all_workspaces() ? '[STICKY]' : '';
-            const hidden = window.is_hidden() ? '[HIDDEN]' : '';
             const rect = window.get_frame_rect();
+            windows.push({
+                id: this._getWindowId(window),
+                title: window.get_title?.() ?? 'unknown',
+                wmClass: window.get_wm_class?.() ?? '',
+                workspace: window.get_workspace()?.index() ?? -1,
+                sticky: window.is_on_all_workspaces(),
+                hidden: window.is_hidden(),
+                scratchpad: this._scratchpad.nameOf(this._getWindowId(window)),
+                monitor: this._getWindowMonitor(window),
+                x: rect.x,
+                y: rect.y,
+                width: rect.width,
+                height: rect.height,
+            });
+        }
 
-            // Determine which monitor the window is on (by coordinate)
-            let onMonitor = '?';
-            for (let m = 0; m < nMonitors; m++) {
-                const geo = global.display.get_monitor_geometry(m);
-                const centerX = rect.x + rect.width / 2;
-                const centerY = rect.y + rect.height / 2;
-                if (centerX >= geo.x && centerX < geo.x + geo.width &&
-                    centerY >= geo.y && centerY < geo.y + geo.height) {
-                    onMonitor = `M${m}`;
-                    break;
-                }
-            }
+        return {
+            currentMonitor: this._getMonitorAtPointer(),
+            pointer: { x: pointerX, y: pointerY },
+            activeWorkspace: global.workspace_manager.get_active_workspace_index(),
+            monitors,
+            windows,
+        };
+    }
 
-            this._debugLog(`  W${winCount}: "${shortTitle}" WS${wsIndex} ${sticky}${hidden} @(${rect.x},${rect.y}) on ${onMonitor}`);
-        }
-        if (winCount === 0) {
+    _debugDumpState(label) {
+        if (!this._debugMode) return;
+
+        this._debugLog(`--- ${label} ---`);
+        const state = this._collectState();
+
+        // Current monitor (mouse position)
+        this._debugLog(`Current: M${state.currentMonitor} (pointer at ${state.pointer.x},${state.pointer.y})`);
+
+        // Monitor -> Workspace mappings
+        const mappings = state.monitors.map(m => {
+            const primary = m.primary ? '*' : '';
+            const name = m.workspaceName ? `"${m.workspaceName}"` : '';
+            return `M${m.index}${primary}:WS${m.workspace ?? '?'}${name}(${m.geometry.x},${m.geometry.y})[${m.connector ?? '?'}]`;
+        });
+        this._debugLog(`Mappings: [${mappings.join(', ')}]`);
+
+        // All windows with their WS and coordinates
+        this._debugLog('Windows:');
+        state.windows.forEach((w, i) => {
+            const shortTitle = w.title.length > 20 ? w.title.slice(0, 20) + '...' : w.title;
+            const sticky = w.sticky ? '[STICKY]' : '';
+            const hidden = w.hidden ? '[HIDDEN]' : '';
+            const onMonitor = w.monitor >= 0 ? `M${w.monitor}` : '?';
+            this._debugLog(`  W${i + 1}: "${shortTitle}" WS${w.workspace} ${sticky}${hidden} @(${w.x},${w.y}) on ${onMonitor}`);
+        });
+        if (state.windows.length === 0) {
             this._debugLog('  (no windows)');
         }
         this._debugLog('---');
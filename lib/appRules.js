@@ -0,0 +1,127 @@
+// Application Rules for Multi Monitors Workspace Extension
+// Matches new windows against user rules (app-rules setting) to pick their workspace/monitor
+// No Shell imports: prefs.js uses the parsing helpers
+
+/**
+ * Rule as stored in the app-rules setting
+ * Empty match fields are ignored; a rule needs at least one non-empty match field
+ */
+export const DEFAULT_RULE = {
+    name: '',
+    wmClass: '',      // WM_CLASS (case-insensitive)
+    appId: '',        // Application id, with or without ".desktop"
+    title: '',        // Regular expression tested against the title
+    role: '',         // WM_WINDOW_ROLE (X11 only)
+    workspace: -1,    // Target workspace index (-1: keep)
+    monitor: -1,      // Target monitor index (-1: keep)
+    floating: false,  // Unmaximize and apply x/y/width/height
+    x: -1,            // Position relative to the monitor (-1: keep)
+    y: -1,
+    width: 0,         // Size (0: keep)
+    height: 0,
+    follow: false,    // Show the target workspace / move the pointer to the window
+    noFocus: false,   // Keep focus on the previously focused window
+    scratchpad: '',   // Scratchpad name: open hidden in it ('': none)
+};
+
+/**
+ * Parse the app-rules setting value
+ * @param {string} json - JSON array of rules
+ * @returns {object[]} Rules with defaults filled in (invalid input -> [])
+ */
+export function parseRules(json) {
+    let rules;
+    try {
+        rules = JSON.parse(json);
+    } catch (e) {
+        return [];
+    }
+    if (!Array.isArray(rules)) return [];
+    return rules
+        .filter(rule => rule && typeof rule === 'object')
+        .map(rule => ({ ...DEFAULT_RULE, ...rule }));
+}
+
+/**
+ * Short description of what a rule matches ("class=Slack, title=/Chat/")
+ */
+export function describeRuleMatch(rule) {
+    const parts = [];
+    if (rule.wmClass) parts.push(`class=${rule.wmClass}`);
+    if (rule.appId) parts.push(`app=${rule.appId}`);
+    if (rule.title) parts.push(`title=/${rule.title}/`);
+    if (rule.role) parts.push(`role=${rule.role}`);
+    return parts.join(', ');
+}
+
+function normalizeAppId(appId) {
+    return appId.toLowerCase().replace(/\.desktop$/, '');
+}
+
+export class AppRules {
+    constructor(settings) {
+        this._settings = settings;
+        this._rules = [];
+        this._load();
+
+        this._settingsChangedId = this._settings.connect('changed::app-rules', () => {
+            this._load();
+        });
+    }
+
+    destroy() {
+        if (this._settingsChangedId) {
+            this._settings.disconnect(this._settingsChangedId);
+            this._settingsChangedId = null;
+        }
+        this._rules = [];
+        this._settings = null;
+    }
+
+    /**
+     * Find the first rule matching a window
+     * @param {Meta.Window} window - Newly created window
+     * @param {string|null} appId - Id of the window's Shell.App (from Shell.WindowTracker)
+     * @returns {object|null} Matching rule, or null
+     */
+    match(window, appId = null) {
+        if (this._rules.length === 0) return null;
+
+        const props = {
+            wmClass: (window.get_wm_class?.() ?? '').toLowerCase(),
+            appIds: [appId, window.get_gtk_application_id?.(), window.get_sandboxed_app_id?.()]
+                .filter(id => id)
+                .map(normalizeAppId),
+            title: window.get_title?.() ?? '',
+            role: window.get_role?.() ?? '',
+        };
+
+        for (const { rule, titleRegex } of this._rules) {
+            if (rule.wmClass && rule.wmClass.toLowerCase() !== props.wmClass) continue;
+            if (rule.appId && !props.appIds.includes(normalizeAppId(rule.appId))) continue;
+            if (titleRegex && !titleRegex.test(props.title)) continue;
+            if (rule.role && rule.role !== props.role) continue;
+            return rule;
+        }
+        return null;
+    }
+
+    _load() {
+        this._rules = [];
+        for (const rule of parseRules(this._settings.get_string('app-rules'))) {
+            if (!describeRuleMatch(rule)) continue; // Would match every window
+
+            let titleRegex = null;
+            if (rule.title) {
+                try {
+                    titleRegex = new RegExp(rule.title);
+                } catch (e) {
+                    console.log(`[NamakeWM-Rules] Ignoring rule with invalid title pattern /${rule.title}/: ${e.message}`);
+                    continue;
+                }
+            }
+            this._rules.push({ rule, titleRegex });
+        }
+        console.log(`[NamakeWM-Rules] Loaded ${this._rules.length} application rules`);
+    }
+}
@@ -0,0 +1,251 @@
+// D-Bus Service for Multi Monitors Workspace Extension
+// Exports workspace/window operations on the session bus for scripts and external tools
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { DEFAULT_SCRATCHPAD } from './scratchpad.js';
+
+export const BUS_NAME = 'io.github.namake_taro.NamakeWM';
+export const OBJECT_PATH = '/io/github/namake_taro/NamakeWM';
+
+// Monitor argument meaning "the monitor under the pointer"
+const POINTER_MONITOR = -1;
+
+const INTERFACE_XML = `
+<node>
+  <interface name="io.github.namake_taro.NamakeWM">
+    <method name="SwitchWorkspace">
+      <arg type="i" direction="in" name="workspace"/>
+      <arg type="i" direction="in" name="monitor"/>
+    </method>
+    <method name="MoveWindow">
+      <arg type="i" direction="in" name="workspace"/>
+      <arg type="i" direction="in" name="monitor"/>
+    </method>
+    <method name="MoveWindowById">
+      <arg type="s" direction="in" name="windowId"/>
+      <arg type="i" direction="in" name="workspace"/>
+    </method>
+    <method name="SwapWorkspaces">
+      <arg type="i" direction="in" name="monitor1"/>
+      <arg type="i" direction="in" name="monitor2"/>
+    </method>
+    <method name="WarpToMonitor">
+      <arg type="i" direction="in" name="monitor"/>
+    </method>
+    <method name="GetWorkspaceMap">
+      <arg type="a(ii)" direction="out" name="mapping"/>
+    </method>
+    <method name="GetWorkspaceWindows">
+      <arg type="i" direction="in" name="workspace"/>
+      <arg type="aa{sv}" direction="out" name="windows"/>
+    </method>
+    <method name="GetState">
+      <arg type="s" direction="out" name="json"/>
+    </method>
+    <method name="ToggleScratchpad">
+      <arg type="s" direction="in" name="name"/>
+    </method>
+    <signal name="WorkspaceSwitched">
+      <arg type="i" name="monitor"/>
+      <arg type="i" name="fromWorkspace"/>
+      <arg type="i" name="toWorkspace"/>
+      <arg type="s" name="mode"/>
+    </signal>
+    <signal name="WorkspacesSwapped">
+      <arg type="i" name="monitor1"/>
+      <arg type="i" name="monitor2"/>
+      <arg type="i" name="workspace1"/>
+      <arg type="i" name="workspace2"/>
+    </signal>
+    <signal name="WindowMoved">
+      <arg type="s" name="windowId"/>
+      <arg type="i" name="fromWorkspace"/>
+      <arg type="i" name="toWorkspace"/>
+    </signal>
+    <signal name="FocusedMonitorChanged">
+      <arg type="i" name="monitor"/>
+      <arg type="i" name="workspace"/>
+    </signal>
+  </interface>
+</node>`;
+
+export class DBusService {
+    /**
+     * @param {object} handler - Operations provided by the extension:
+     *   switchWorkspace(ws, monitor), moveWindow(ws, monitor), moveWindowById(windowId, ws),
+     *   swapWorkspaces(monitor1, monitor2), warpToMonitor(monitor), getPointerMonitor(),
+     *   getWorkspaceMap(), getWorkspaceWindows(ws), getState(), getWorkspaceCount(),
+     *   toggleScratchpad(name)
+     */
+    constructor(handler) {
+        this._handler = handler;
+        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this);
+        this._nameOwnerId = 0;
+    }
+
+    /**
+     * Export the object and own the well-known name on the session bus
+     */
+    export() {
+        try {
+            this._dbusImpl.export(Gio.DBus.session, OBJECT_PATH);
+            this._nameOwnerId = Gio.bus_own_name_on_connection(Gio.DBus.session,
+                BUS_NAME, Gio.BusNameOwnerFlags.NONE, null, null);
+            console.log(`[NamakeWM-DBus] Exported ${BUS_NAME} at ${OBJECT_PATH}`);
+        } catch (e) {
+            console.error(`[NamakeWM-DBus] Failed to export interface: ${e.message}`);
+        }
+    }
+
+    destroy() {
+        if (this._nameOwnerId) {
+            Gio.bus_unown_name(this._nameOwnerId);
+            this._nameOwnerId = 0;
+        }
+        if (this._dbusImpl) {
+            try {
+                this._dbusImpl.unexport();
+            } catch (e) {
+                // Not exported
+            }
+            this._dbusImpl = null;
+        }
+        this._handler = null;
+    }
+
+    // ========== D-Bus Signals ==========
+
+    /**
+     * A monitor now shows a different workspace
+     * @param {number} monitor - Monitor index
+     * @param {number} fromWs - Previously shown workspace (-1 if none)
+     * @param {number} toWs - Workspace now shown
+     * @param {string} mode - 'switch', 'swap', 'external', 'restore' or 'hotplug'
+     */
+    emitWorkspaceSwitched(monitor, fromWs, toWs, mode) {
+        this._emit('WorkspaceSwitched', '(iiis)', [monitor, fromWs, toWs, mode]);
+    }
+
+    /**
+     * Two monitors exchanged their workspaces (monitor1 showed ws1 and now shows ws2)
+     */
+    emitWorkspacesSwapped(monitor1, monitor2, ws1, ws2) {
+        this._emit('WorkspacesSwapped', '(iiii)', [monitor1, monitor2, ws1, ws2]);
+    }
+
+    /**
+     * A window was moved to another workspace
+     * @param {string} windowId - Window id as reported by GetWorkspaceWindows
+     */
+    emitWindowMoved(windowId, fromWs, toWs) {
+        this._emit('WindowMoved', '(sii)', [windowId, fromWs, toWs]);
+    }
+
+    /**
+     * The monitor receiving keyboard focus changed
+     */
+    emitFocusedMonitorChanged(monitor, ws) {
+        this._emit('FocusedMonitorChanged', '(ii)', [monitor, ws]);
+    }
+
+    _emit(name, signature, values) {
+        if (!this._dbusImpl) return;
+        try {
+            this._dbusImpl.emit_signal(name, new GLib.Variant(signature, values));
+        } catch (e) {
+            console.error(`[NamakeWM-DBus] Failed to emit ${name}: ${e.message}`);
+        }
+    }
+
+    // ========== D-Bus Methods ==========
+
+    SwitchWorkspace(workspace, monitor) {
+        this._handler.switchWorkspace(this._checkWorkspace(workspace), this._resolveMonitor(monitor));
+    }
+
+    MoveWindow(workspace, monitor) {
+        const ws = this._checkWorkspace(workspace);
+        // Pointer default keeps the keybinding behavior (focused window)
+        const monitorIndex = monitor === POINTER_MONITOR ? POINTER_MONITOR : this._resolveMonitor(monitor);
+        if (!this._handler.moveWindow(ws, monitorIndex)) {
+            this._throwFailed(monitor === POINTER_MONITOR
+                ? 'No focused window to move'
+                : `No recently focused window on monitor ${monitor}`);
+        }
+    }
+
+    MoveWindowById(windowId, workspace) {
+        const ws = this._checkWorkspace(workspace);
+        if (!this._handler.moveWindowById(windowId, ws)) {
+            this._throwInvalidArgs(`Unknown window id "${windowId}"`);
+        }
+    }
+
+    SwapWorkspaces(monitor1, monitor2) {
+        this._handler.swapWorkspaces(this._resolveMonitor(monitor1), this._resolveMonitor(monitor2));
+    }
+
+    WarpToMonitor(monitor) {
+        this._handler.warpToMonitor(this._resolveMonitor(monitor));
+    }
+
+    GetWorkspaceMap() {
+        return [...this._handler.getWorkspaceMap()]
+            .sort((a, b) => a[0] - b[0]);
+    }
+
+    GetWorkspaceWindows(workspace) {
+        const ws = this._checkWorkspace(workspace);
+        return this._handler.getWorkspaceWindows(ws).map(info => ({
+            id: new GLib.Variant('s', info.id),
+            title: new GLib.Variant('s', info.title),
+            wm_class: new GLib.Variant('s', info.wmClass),
+            monitor: new GLib.Variant('i', info.monitor),
+            minimized: new GLib.Variant('b', info.minimized),
+            focused: new GLib.Variant('b', info.focused),
+        }));
+    }
+
+    GetState() {
+        return JSON.stringify(this._handler.getState());
+    }
+
+    ToggleScratchpad(name) {
+        // Empty name: the scratchpad of the keybindings
+        const scratchpad = name || DEFAULT_SCRATCHPAD;
+        if (!this._handler.toggleScratchpad(scratchpad)) {
+            this._throwFailed(`Scratchpad "${scratchpad}" has no windows`);
+        }
+    }
+
+    // ========== Argument Validation ==========
+
+    _resolveMonitor(monitor) {
+        if (monitor === POINTER_MONITOR) {
+            return this._handler.getPointerMonitor();
+        }
+        const nMonitors = global.display.get_n_monitors();
+        if (monitor < 0 || monitor >= nMonitors) {
+            this._throwInvalidArgs(`Monitor ${monitor} out of range (0-${nMonitors - 1}, or -1 for pointer)`);
+        }
+        return monitor;
+    }
+
+    _checkWorkspace(workspace) {
+        const count = this._handler.getWorkspaceCount();
+        if (workspace < 0 || workspace >= count) {
+            this._throwInvalidArgs(`Workspace ${workspace} out of range (0-${count - 1})`);
+        }
+        return workspace;
+    }
+
+    _throwInvalidArgs(message) {
+        throw new GLib.Error(Gio.DBusError, Gio.DBusError.INVALID_ARGS, message);
+    }
+
+    _throwFailed(message) {
+        throw new GLib.Error(Gio.DBusError, Gio.DBusError.FAILED, message);
+    }
+}
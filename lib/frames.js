@@ -0,0 +1,274 @@
+// Frame Tree for Multi Monitors Workspace Extension
+// Herbstluftwm-style manual tiling: a workspace is a tree of frames, split horizontally or vertically
+// Frames hold window ids; sizes are fractions, so a tree lays out on any monitor size
+
+export const MIN_FRAME_RATIO = 0.1;
+export const MAX_FRAME_RATIO = 0.9;
+
+// Split orientation that separates frames along a direction
+// horizontal: frames side by side (left/right), vertical: frames stacked (up/down)
+function orientationOf(direction) {
+    return direction === 'left' || direction === 'right' ? 'horizontal' : 'vertical';
+}
+
+function splitRect(rect, orientation, ratio) {
+    if (orientation === 'horizontal') {
+        const width = Math.round(rect.width * ratio);
+        return [
+            { x: rect.x, y: rect.y, width, height: rect.height },
+            { x: rect.x + width, y: rect.y, width: rect.width - width, height: rect.height },
+        ];
+    }
+    const height = Math.round(rect.height * ratio);
+    return [
+        { x: rect.x, y: rect.y, width: rect.width, height },
+        { x: rect.x, y: rect.y + height, width: rect.width, height: rect.height - height },
+    ];
+}
+
+// Overlap of [a1, a2) and [b1, b2)
+function overlap(a1, a2, b1, b2) {
+    return Math.max(0, Math.min(a2, b2) - Math.max(a1, b1));
+}
+
+// Lexicographic comparison of equal-length number arrays
+function compareScores(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+export class FrameTree {
+    constructor() {
+        // Node: leaf { windows: [windowId, ...] } or split { split, ratio, children: [node, node] }
+        this._root = { windows: [] };
+        this._focused = this._root;
+    }
+
+    /**
+     * The focused frame (new windows go here)
+     */
+    get focused() {
+        return this._focused;
+    }
+
+    /**
+     * Leaf frames in tree order (left/top first)
+     */
+    leaves(node = this._root) {
+        if (node.windows) return [node];
+        return node.children.flatMap(child => this.leaves(child));
+    }
+
+    _findLeafOf(windowId) {
+        return this.leaves().find(leaf => leaf.windows.includes(windowId)) ?? null;
+    }
+
+    // [[node, childIndex], ...] from the root down to target (empty if target is the root)
+    _pathTo(target, node = this._root, path = []) {
+        if (node === target) return path;
+        if (node.windows) return null;
+        for (let i = 0; i < node.children.length; i++) {
+            const found = this._pathTo(target, node.children[i], [...path, [node, i]]);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Match the tree to the windows currently on the workspace
+     * Windows no longer present are dropped; new ones go into the focused frame
+     * @param {string[]} windowIds - Tiled windows, oldest first
+     */
+    syncWindows(windowIds) {
+        const present = new Set(windowIds);
+        const known = new Set();
+        for (const leaf of this.leaves()) {
+            leaf.windows = leaf.windows.filter(id => present.has(id));
+            leaf.windows.forEach(id => known.add(id));
+        }
+        for (const id of windowIds) {
+            if (!known.has(id)) this._focused.windows.push(id);
+        }
+    }
+
+    /**
+     * Focus the frame holding a window
+     * @returns {boolean} false if the window is not in the tree
+     */
+    focusWindow(windowId) {
+        const leaf = this._findLeafOf(windowId);
+        if (!leaf) return false;
+        this._focused = leaf;
+        return true;
+    }
+
+    /**
+     * Split the focused frame in two; its windows stay in the first half, which keeps focus
+     * @param {string} orientation - 'horizontal' (side by side) or 'vertical' (stacked)
+     */
+    split(orientation, ratio = 0.5) {
+        const leaf = this._focused;
+        const first = { windows: leaf.windows };
+        const second = { windows: [] };
+
+        // Turn the leaf into the split in place, so references to it stay valid
+        delete leaf.windows;
+        leaf.split = orientation;
+        leaf.ratio = ratio;
+        leaf.children = [first, second];
+        this._focused = first;
+    }
+
+    /**
+     * Remove the focused frame; its windows move to the frame taking its place
+     * @returns {boolean} false if the focused frame is the only one
+     */
+    removeFocused() {
+        const path = this._pathTo(this._focused);
+        if (!path || path.length === 0) return false;
+
+        const [parent, index] = path[path.length - 1];
+        const removed = this._focused;
+        const sibling = parent.children[1 - index];
+
+        // The sibling replaces the parent in place
+        delete parent.split;
+        delete parent.ratio;
+        delete parent.children;
+        Object.assign(parent, sibling);
+
+        // Windows go to the frame nearest to where the removed one was
+        const leaves = this.leaves(parent);
+        const target = index === 0 ? leaves[0] : leaves[leaves.length - 1];
+        target.windows.push(...removed.windows);
+        this._focused = target;
+        return true;
+    }
+
+    /**
+     * Move the nearest frame edge in a direction (grows or shrinks the focused frame)
+     * @param {string} direction - 'left', 'right', 'up' or 'down'
+     * @param {number} step - Fraction of the split to move the edge by
+     * @returns {boolean} false if no split separates frames along that direction
+     */
+    resizeFocused(direction, step) {
+        const path = this._pathTo(this._focused) ?? [];
+        const orientation = orientationOf(direction);
+        const sign = direction === 'right' || direction === 'down' ? 1 : -1;
+
+        for (let i = path.length - 1; i >= 0; i--) {
+            const [node] = path[i];
+            if (node.split !== orientation) continue;
+            const ratio = node.ratio + sign * step;
+            node.ratio = Math.round(Math.min(MAX_FRAME_RATIO, Math.max(MIN_FRAME_RATIO, ratio)) * 100) / 100;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Compute the rect of every leaf frame
+     * @param {object} area - { x, y, width, height } to divide
+     * @returns {Map} leaf -> { x, y, width, height }
+     */
+    layout(area, node = this._root, rects = new Map()) {
+        if (node.windows) {
+            rects.set(node, area);
+            return rects;
+        }
+        const [first, second] = splitRect(area, node.split, node.ratio);
+        this.layout(first, node.children[0], rects);
+        this.layout(second, node.children[1], rects);
+        return rects;
+    }
+
+    /**
+     * Focus the nearest frame in a direction
+     * @param {string} direction - 'left', 'right', 'up' or 'down'
+     * @param {object} area - Area the tree is laid out in
+     * @returns {object|null} Newly focused leaf, or null if there is none that way
+     */
+    focusDirection(direction, area) {
+        const rects = this.layout(area);
+        const from = rects.get(this._focused);
+        const horizontal = orientationOf(direction) === 'horizontal';
+
+        let best = null;
+        let bestScore = null;
+        for (const [leaf, rect] of rects) {
+            if (leaf === this._focused) continue;
+
+            // Distance from the focused frame's edge to the candidate's facing edge
+            let distance;
+            if (direction === 'left') distance = from.x - (rect.x + rect.width);
+            else if (direction === 'right') distance = rect.x - (from.x + from.width);
+            else if (direction === 'up') distance = from.y - (rect.y + rect.height);
+            else distance = rect.y - (from.y + from.height);
+            if (distance < 0) continue;
+
+            // Prefer frames beside the focused one, then the most overlapping
+            const shared = horizontal
+                ? overlap(from.y, from.y + from.height, rect.y, rect.y + rect.height)
+                : overlap(from.x, from.x + from.width, rect.x, rect.x + rect.width);
+            const score = [shared > 0 ? 0 : 1, distance, -shared];
+            if (!bestScore || compareScores(score, bestScore) < 0) {
+                best = leaf;
+                bestScore = score;
+            }
+        }
+
+        if (best) this._focused = best;
+        return best;
+    }
+
+    /**
+     * Move a window into the nearest frame in a direction, which gets focus
+     * @returns {boolean} false if the window is not in the tree or no frame is that way
+     */
+    moveWindow(windowId, direction, area) {
+        const leaf = this._findLeafOf(windowId);
+        if (!leaf) return false;
+
+        this._focused = leaf;
+        const target = this.focusDirection(direction, area);
+        if (!target) return false;
+
+        leaf.windows.splice(leaf.windows.indexOf(windowId), 1);
+        target.windows.push(windowId);
+        return true;
+    }
+
+    /**
+     * Exchange two windows, wherever they are in the tree
+     * @returns {boolean} false if either window is not in the tree
+     */
+    swapWindows(idA, idB) {
+        const leafA = this._findLeafOf(idA);
+        const leafB = this._findLeafOf(idB);
+        if (!leafA || !leafB) return false;
+
+        const a = leafA.windows.indexOf(idA);
+        const b = leafB.windows.indexOf(idB);
+        [leafA.windows[a], leafB.windows[b]] = [idB, idA];
+        this._focused = leafB;
+        return true;
+    }
+
+    /**
+     * Exchange a window with its neighbor in tree order (may cross frames)
+     * @returns {boolean} false if the window is not in the tree or is alone
+     */
+    swapWindow(windowId, forward) {
+        const slots = this.leaves().flatMap(leaf => leaf.windows.map((id, i) => [leaf, i]));
+        const index = slots.findIndex(([leaf, i]) => leaf.windows[i] === windowId);
+        if (index === -1 || slots.length < 2) return false;
+
+        const [leafA, a] = slots[index];
+        const [leafB, b] = slots[(index + (forward ? 1 : slots.length - 1)) % slots.length];
+        [leafA.windows[a], leafB.windows[b]] = [leafB.windows[b], leafA.windows[a]];
+        this._focused = leafB;
+        return true;
+    }
+}
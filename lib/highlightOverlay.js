@@ -2,6 +2,7 @@
 // Draws colored lines on edges of focused window and current display
 
 import St from 'gi://St';
+import GLib from 'gi://GLib';
 import Meta from 'gi://Meta';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
@@ -519,3 +520,52 @@ export class DisplayHighlighter {
         this._removeLines();
     }
 }
+
+// How long a focused frame stays outlined
+const FRAME_FLASH_MS = 500;
+
+// Briefly outlines the focused frame of the frames layout (frames have no other visible shape)
+export class FrameHighlighter {
+    constructor(settings) {
+        this._settings = settings;
+        this._outline = null;
+        this._hideTimeoutId = null;
+    }
+
+    flash(rect) {
+        this._remove();
+
+        const thickness = Math.max(2, this._settings.get_int('window-highlight-thickness'));
+        const color = this._settings.get_string('window-highlight-color');
+        this._outline = new St.Widget({
+            style: `border: ${thickness}px solid ${color};`,
+            x: rect.x,
+            y: rect.y,
+            width: rect.width,
+            height: rect.height,
+        });
+        Main.uiGroup.add_child(this._outline);
+
+        this._hideTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, FRAME_FLASH_MS, () => {
+            this._hideTimeoutId = null;
+            this._remove();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _remove() {
+        if (this._hideTimeoutId) {
+            GLib.source_remove(this._hideTimeoutId);
+            this._hideTimeoutId = null;
+        }
+        if (this._outline) {
+            this._outline.destroy();
+            this._outline = null;
+        }
+    }
+
+    destroy() {
+        this._remove();
+        this._settings = null;
+    }
+}
@@ -0,0 +1,121 @@
+// Monitor Layout for Multi Monitors Workspace Extension
+// Spatial arrangement of monitors (rows) and directional lookups between monitors and windows
+// No Shell imports: works on plain { x, y, width, height } rects
+
+// Monitors within this many pixels of y are in the same row
+const Y_THRESHOLD = 100;
+
+// Group monitors by rows based on y coordinate
+// Returns array of rows, each row is array of monitor info sorted by x
+export function groupMonitorsByRows(monitors) {
+    // Sort by y first, then x
+    const sorted = [...monitors].sort((a, b) => {
+        if (a.y !== b.y) return a.y - b.y;
+        return a.x - b.x;
+    });
+
+    // Group by similar y values (threshold for "same row")
+    const rows = [];
+    let currentRow = [];
+    let lastY = null;
+
+    for (const mon of sorted) {
+        if (lastY === null || Math.abs(mon.y - lastY) <= Y_THRESHOLD) {
+            currentRow.push(mon);
+        } else {
+            if (currentRow.length > 0) rows.push(currentRow);
+            currentRow = [mon];
+        }
+        lastY = mon.y;
+    }
+    if (currentRow.length > 0) rows.push(currentRow);
+
+    // Sort each row by x
+    for (const row of rows) {
+        row.sort((a, b) => a.x - b.x);
+    }
+
+    return rows;
+}
+
+// Overlap of [a1, a2) and [b1, b2)
+function overlap(a1, a2, b1, b2) {
+    return Math.max(0, Math.min(a2, b2) - Math.max(a1, b1));
+}
+
+/**
+ * Monitor next to another one in a direction
+ * Left/right stay in the monitor's row; up/down pick the most overlapping
+ * (then the nearest) monitor of the row above/below
+ * @param {object[]} monitors - { index, x, y, width, height } of every monitor
+ * @param {number} monitorIndex - Monitor to start from
+ * @param {string} direction - 'left', 'right', 'up' or 'down'
+ * @returns {number} Monitor index, or -1 at the edge of the layout
+ */
+export function findAdjacentMonitor(monitors, monitorIndex, direction) {
+    const rows = groupMonitorsByRows(monitors);
+    const rowIndex = rows.findIndex(row => row.some(mon => mon.index === monitorIndex));
+    if (rowIndex === -1) return -1;
+
+    const row = rows[rowIndex];
+    const from = row.find(mon => mon.index === monitorIndex);
+
+    if (direction === 'left' || direction === 'right') {
+        const neighbor = row[row.indexOf(from) + (direction === 'right' ? 1 : -1)];
+        return neighbor ? neighbor.index : -1;
+    }
+
+    const targetRow = rows[rowIndex + (direction === 'down' ? 1 : -1)];
+    if (!targetRow) return -1;
+
+    const fromCenter = from.x + from.width / 2;
+    let best = null;
+    let bestShared = -1;
+    let bestDistance = Infinity;
+    for (const mon of targetRow) {
+        const shared = overlap(from.x, from.x + from.width, mon.x, mon.x + mon.width);
+        const distance = Math.abs(mon.x + mon.width / 2 - fromCenter);
+        if (shared > bestShared || (shared === bestShared && distance < bestDistance)) {
+            best = mon;
+            bestShared = shared;
+            bestDistance = distance;
+        }
+    }
+    return best.index;
+}
+
+/**
+ * Nearest rect in a direction, judged by centers
+ * Rects overlapping the starting rect across the direction come first (a window
+ * beside the focused one beats a closer one diagonally), then the closest
+ * @param {object} from - Rect to start from
+ * @param {Array} candidates - [item, rect] pairs
+ * @param {string} direction - 'left', 'right', 'up' or 'down'
+ * @returns {*} Item of the nearest rect, or null if there is none that way
+ */
+export function findNearestInDirection(from, candidates, direction) {
+    const horizontal = direction === 'left' || direction === 'right';
+    const sign = direction === 'right' || direction === 'down' ? 1 : -1;
+    const fromX = from.x + from.width / 2;
+    const fromY = from.y + from.height / 2;
+
+    let best = null;
+    let bestScore = null;
+    for (const [item, rect] of candidates) {
+        const dx = rect.x + rect.width / 2 - fromX;
+        const dy = rect.y + rect.height / 2 - fromY;
+        const along = (horizontal ? dx : dy) * sign;
+        if (along <= 0) continue;
+
+        const shared = horizontal
+            ? overlap(from.y, from.y + from.height, rect.y, rect.y + rect.height)
+            : overlap(from.x, from.x + from.width, rect.x, rect.x + rect.width);
+        const score = [shared > 0 ? 0 : 1, along + Math.abs(horizontal ? dy : dx)];
+        if (!bestScore || score[0] < bestScore[0] ||
+            (score[0] === bestScore[0] && score[1] < bestScore[1])) {
+            best = item;
+            bestScore = score;
+        }
+    }
+    return best;
+}
@@ -0,0 +1,138 @@
+// Monitor Profiles for Multi Monitors Workspace Extension
+// Remembers which workspace each physical monitor showed, per set of connected monitors
+
+export class MonitorProfiles {
+    // layoutKey -> Map(monitorKey -> workspaceIndex)
+    _profiles = new Map();
+
+    /**
+     * Identify connected monitors by connector and EDID data
+     * Monitor indices are reassigned on hotplug, so they are never used as keys
+     * @returns {Map<number, object>} monitorIndex -> { connector, vendor, product, serial, name, key }
+     */
+    getMonitorIdentities() {
+        const monitorManager = global.backend.get_monitor_manager();
+        const identities = new Map();
+
+        let monitors = [];
+        try {
+            monitors = monitorManager.get_monitors?.() ?? [];
+        } catch (e) {
+            console.log(`[NamakeWM-Profiles] get_monitors() unavailable: ${e.message}`);
+        }
+
+        for (const monitor of monitors) {
+            if (monitor.is_active && !monitor.is_active()) continue;
+
+            const connector = monitor.get_connector?.() ?? '';
+            if (!connector) continue;
+
+            const index = monitorManager.get_monitor_for_connector(connector);
+            // Mirrored monitors share an index; the first one identifies it
+            if (index < 0 || identities.has(index)) continue;
+
+            const vendor = monitor.get_vendor?.() ?? '';
+            const product = monitor.get_product?.() ?? '';
+            const serial = monitor.get_serial?.() ?? '';
+            identities.set(index, {
+                connector,
+                vendor,
+                product,
+                serial,
+                // Human-readable name (e.g. "Dell 27\""), not part of the key
+                name: monitor.get_display_name?.() ?? '',
+                key: [connector, vendor, product, serial].join(':'),
+            });
+        }
+
+        // Fallback when Mutter's monitor objects are not available: geometry-based keys
+        const nMonitors = global.display.get_n_monitors();
+        for (let i = 0; i < nMonitors; i++) {
+            if (identities.has(i)) continue;
+            const geo = global.display.get_monitor_geometry(i);
+            identities.set(i, {
+                connector: '',
+                vendor: '',
+                product: '',
+                serial: '',
+                name: '',
+                key: `geometry:${geo.x},${geo.y},${geo.width}x${geo.height}`,
+            });
+        }
+
+        return identities;
+    }
+
+    /**
+     * Build the key identifying a set of connected monitors
+     * @param {Map<number, object>} identities - Result of getMonitorIdentities()
+     * @returns {string} Layout key (order-independent)
+     */
+    getLayoutKey(identities) {
+        return [...identities.values()].map(id => id.key).sort().join('|');
+    }
+
+    /**
+     * Remember which workspace each monitor displays for the given layout
+     * @param {Map<number, object>} identities - Monitor identities of the layout
+     * @param {Map<number, number>} monitorWorkspaceMap - monitorIndex -> workspaceIndex
+     */
+    remember(identities, monitorWorkspaceMap) {
+        if (!identities || identities.size === 0) return;
+
+        const profile = new Map();
+        for (const [monitorIndex, identity] of identities) {
+            const wsIndex = monitorWorkspaceMap.get(monitorIndex);
+            if (wsIndex !== undefined) {
+                profile.set(identity.key, wsIndex);
+            }
+        }
+        if (profile.size > 0) {
+            this._profiles.set(this.getLayoutKey(identities), profile);
+        }
+    }
+
+    /**
+     * Look up the remembered mapping for a layout
+     * @param {Map<number, object>} identities - Monitor identities of the layout
+     * @returns {Map<number, number>|null} monitorIndex -> workspaceIndex, or null if unknown
+     */
+    lookup(identities) {
+        const profile = this._profiles.get(this.getLayoutKey(identities));
+        if (!profile) return null;
+
+        const mapping = new Map();
+        for (const [monitorIndex, identity] of identities) {
+            const wsIndex = profile.get(identity.key);
+            if (wsIndex !== undefined) {
+                mapping.set(monitorIndex, wsIndex);
+            }
+        }
+        return mapping;
+    }
+
+    /**
+     * Serialize profiles for the state file
+     * @returns {object} { layoutKey: { monitorKey: wsIndex } }
+     */
+    serialize() {
+        const result = {};
+        for (const [layoutKey, profile] of this._profiles) {
+            result[layoutKey] = Object.fromEntries(profile);
+        }
+        return result;
+    }
+
+    /**
+     * Load profiles from the state file (in-memory profiles take precedence)
+     * @param {object} data - Result of serialize()
+     */
+    deserialize(data) {
+        if (!data || typeof data !== 'object') return;
+        for (const [layoutKey, profile] of Object.entries(data)) {
+            if (!this._profiles.has(layoutKey)) {
+                this._profiles.set(layoutKey, new Map(Object.entries(profile)));
+            }
+        }
+    }
+}
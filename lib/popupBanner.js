@@ -6,18 +6,67 @@ import GLib from 'gi://GLib';
 import Clutter from 'gi://Clutter';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
+import { getWorkspaceName } from './workspaceLabels.js';
+import { Theme } from './theme.js';
+import { createWindowList } from './windowList.js';
+
+const FADE_DURATION = 200;
+
+// App icon size in the window list (popup-banner-window-list)
+const WINDOW_ICON_SIZE = 24;
+
+// Distance from the work area edge for the edge and corner positions
+const EDGE_MARGIN = 32;
+
+// popup-banner-position -> [horizontal, vertical] placement within the work area
+const POSITIONS = {
+    'upper-third': ['center', 'third'],
+    'center': ['center', 'center'],
+    'top': ['center', 'start'],
+    'bottom': ['center', 'end'],
+    'top-left': ['start', 'start'],
+    'top-right': ['end', 'start'],
+    'bottom-left': ['start', 'end'],
+    'bottom-right': ['end', 'end'],
+};
+
+// Place a banner of the given size along one axis of the work area
+function placeAlong(placement, start, length, size) {
+    switch (placement) {
+    case 'start':
+        return start + EDGE_MARGIN;
+    case 'end':
+        return start + length - size - EDGE_MARGIN;
+    case 'third':
+        return start + Math.floor(length / 3);
+    default:
+        return start + Math.floor((length - size) / 2);
+    }
+}
+
 export class PopupBanner {
-    constructor(settings) {
+    /**
+     * @param {Gio.Settings} settings - Extension settings (show-popup-banner, popup-banner-*, theme-*)
+     * @param {object} handler - Extension state used by the banner text:
+     *   getWorkspaceMap() -> Map(monitorIndex -> wsIndex),
+     *   getWindowCount(wsIndex) -> number,
+     *   getWorkspaceWindows(wsIndex) -> [Meta.Window] (visible windows, topmost first),
+     *   getMonitorIdentity(monitorIndex) -> { connector, name } or undefined
+     */
+    constructor(settings, handler) {
         this._settings = settings;
-        this._banner = null;
+        this._handler = handler;
+        // monitorIndex -> banner actor
+        this._banners = new Map();
         this._hideTimeoutId = null;
-        this._fadeTimeoutId = null;
         this._positionIdleId = null;
         this._isDestroyed = false;
 
+        // Stylesheet classes with overrides from the theme-* settings (read on each banner)
+        this._theme = new Theme(settings);
+
         // Track last shown state to avoid duplicate banners
-        this._lastMonitor = -1;
-        this._lastWsIndex = -1;
+        this._lastStateKey = null;
 
         // Settings change handler
         this._settingsChangedId = this._settings.connect('changed::show-popup-banner', () => {
@@ -31,59 +80,127 @@ export class PopupBanner {
         return this._settings.get_boolean('show-popup-banner');
     }
 
-    _createBanner() {
-        if (this._banner) {
-            this._removeBanner();
+    // Monitors to show a banner on, each with the workspace it displays
+    // popup-banner-monitors: 'changed' (the given monitor), 'affected' (both monitors of a swap)
+    // or 'all' (every monitor)
+    _getBannerStates(monitorIndex, wsIndex, swappedMonitor) {
+        const nMonitors = global.display.get_n_monitors();
+        const workspaceMap = this._handler.getWorkspaceMap();
+        const states = [[monitorIndex, wsIndex]];
+
+        switch (this._settings.get_string('popup-banner-monitors')) {
+        case 'all':
+            for (let i = 0; i < nMonitors; i++) {
+                if (i !== monitorIndex) states.push([i, workspaceMap.get(i) ?? 0]);
+            }
+            break;
+        case 'affected':
+            if (swappedMonitor >= 0 && swappedMonitor !== monitorIndex && swappedMonitor < nMonitors) {
+                states.push([swappedMonitor, workspaceMap.get(swappedMonitor) ?? 0]);
+            }
+            break;
+        default:
+            break;
         }
+        return states;
+    }
 
-        this._banner = new St.BoxLayout({
+    // Expand the popup-banner-template placeholders
+    _formatTemplate(template, monitorIndex, wsIndex) {
+        const identity = this._handler.getMonitorIdentity(monitorIndex);
+        const connector = identity?.connector || '';
+        const values = {
+            'monitor': String(monitorIndex + 1),
+            'monitor-name': identity?.name || connector || `Monitor ${monitorIndex + 1}`,
+            'connector': connector,
+            'workspace': String(wsIndex + 1),
+            'name': getWorkspaceName(this._settings.get_strv('workspace-names'), wsIndex),
+            'windows': String(this._handler.getWindowCount(wsIndex)),
+        };
+        return template.replace(/\{([a-z-]+)\}/g, (match, key) => values[key] ?? match);
+    }
+
+    _createBanner(monitorIndex, wsIndex) {
+        const banner = new St.BoxLayout({
             style_class: 'mmw-popup-banner',
-            style: `
-                background-color: rgba(0, 0, 0, 0.75);
-                border-radius: 12px;
-                padding: 12px 24px;
-            `,
-            vertical: false,
+            style: this._theme.getBannerStyle(),
+            vertical: true,
             reactive: false,
         });
+        this._theme.applyVariant(banner);
+
+        // Display and workspace, with the window list below
+        const content = new St.BoxLayout({ vertical: false });
+        banner.add_child(content);
+
+        const labelStyle = this._theme.getBannerLabelStyle();
+        const template = this._settings.get_string('popup-banner-template');
+
+        if (template) {
+            content.add_child(new St.Label({
+                text: this._formatTemplate(template, monitorIndex, wsIndex),
+                style_class: 'mmw-popup-banner-label',
+                style: labelStyle,
+            }));
+        } else {
+            // Display icon and number (1-indexed for user display)
+            const displayIcon = new St.Label({
+                text: '\uD83D\uDDA5\uFE0F',  // 🖥️
+                style_class: 'mmw-popup-banner-icon',
+            });
+            const displayLabel = new St.Label({
+                text: String(monitorIndex + 1),
+                style_class: 'mmw-popup-banner-label mmw-popup-banner-display',
+                style: labelStyle,
+            });
+
+            // Workspace icon and number
+            const wsIcon = new St.Label({
+                text: '\uD83D\uDCCB',  // 📋
+                style_class: 'mmw-popup-banner-icon',
+            });
+            const wsName = getWorkspaceName(this._settings.get_strv('workspace-names'), wsIndex);
+            const wsLabel = new St.Label({
+                text: wsName ? `${wsIndex + 1}: ${wsName}` : String(wsIndex + 1),
+                style_class: 'mmw-popup-banner-label',
+                style: labelStyle,
+            });
+
+            content.add_child(displayIcon);
+            content.add_child(displayLabel);
+            content.add_child(wsIcon);
+            content.add_child(wsLabel);
+        }
 
-        // Display icon and number
-        const displayIcon = new St.Label({
-            text: '\uD83D\uDDA5\uFE0F',  // 🖥️
-            style: 'font-size: 24px; margin-right: 8px;',
-        });
-        this._displayLabel = new St.Label({
-            text: '1',
-            style: 'font-size: 28px; font-weight: bold; color: white; margin-right: 20px;',
-        });
+        if (this._settings.get_boolean('popup-banner-window-list')) {
+            const windowList = createWindowList(this._handler.getWorkspaceWindows(wsIndex),
+                WINDOW_ICON_SIZE, labelStyle);
+            windowList.add_style_class_name('mmw-popup-banner-windows');
+            banner.add_child(windowList);
+        }
 
-        // Workspace icon and number
-        const wsIcon = new St.Label({
-            text: '\uD83D\uDCCB',  // 📋
-            style: 'font-size: 24px; margin-right: 8px;',
-        });
-        this._wsLabel = new St.Label({
-            text: '1',
-            style: 'font-size: 28px; font-weight: bold; color: white;',
-        });
+        const scale = this._settings.get_double('popup-banner-scale');
+        banner.set_pivot_point(0, 0);
+        banner.set_scale(scale, scale);
 
-        this._banner.add_child(displayIcon);
-        this._banner.add_child(this._displayLabel);
-        this._banner.add_child(wsIcon);
-        this._banner.add_child(this._wsLabel);
+        Main.uiGroup.add_child(banner);
+        return banner;
+    }
+
+    _removeBanner(monitorIndex) {
+        const banner = this._banners.get(monitorIndex);
+        if (!banner) return;
 
-        Main.uiGroup.add_child(this._banner);
+        this._banners.delete(monitorIndex);
+        if (banner.get_parent()) {
+            banner.get_parent().remove_child(banner);
+        }
+        banner.destroy();
     }
 
-    _removeBanner() {
-        if (this._banner) {
-            if (this._banner.get_parent()) {
-                this._banner.get_parent().remove_child(this._banner);
-            }
-            this._banner.destroy();
-            this._banner = null;
-            this._displayLabel = null;
-            this._wsLabel = null;
+    _removeBanners() {
+        for (const monitorIndex of [...this._banners.keys()]) {
+            this._removeBanner(monitorIndex);
         }
     }
 
@@ -92,10 +209,6 @@ export class PopupBanner {
             GLib.source_remove(this._hideTimeoutId);
             this._hideTimeoutId = null;
         }
-        if (this._fadeTimeoutId) {
-            GLib.source_remove(this._fadeTimeoutId);
-            this._fadeTimeoutId = null;
-        }
         if (this._positionIdleId) {
             GLib.source_remove(this._positionIdleId);
             this._positionIdleId = null;
@@ -104,84 +217,93 @@ export class PopupBanner {
 
     _hideBanner() {
         this._clearTimeouts();
-        this._removeBanner();
+        this._removeBanners();
+        this._lastStateKey = null;
     }
 
     _positionBanner(monitorIndex) {
-        if (!this._banner) return;
+        const banner = this._banners.get(monitorIndex);
+        if (!banner) return;
+
+        if (monitorIndex >= global.display.get_n_monitors()) return;
+        const area = Main.layoutManager.getWorkAreaForMonitor(monitorIndex);
 
-        const geo = global.display.get_monitor_geometry(monitorIndex);
-        if (!geo) return;
+        // Get banner size after it's been added to stage (scaled around its top-left corner)
+        const bannerWidth = Math.ceil(banner.width * banner.scale_x);
+        const bannerHeight = Math.ceil(banner.height * banner.scale_y);
 
-        // Get banner size after it's been added to stage
-        const bannerWidth = this._banner.width;
-        const bannerHeight = this._banner.height;
+        const [horizontal, vertical] = POSITIONS[this._settings.get_string('popup-banner-position')] ??
+            POSITIONS['upper-third'];
+        let x = placeAlong(horizontal, area.x, area.width, bannerWidth) +
+            this._settings.get_int('popup-banner-offset-x');
+        let y = placeAlong(vertical, area.y, area.height, bannerHeight) +
+            this._settings.get_int('popup-banner-offset-y');
 
-        // Center horizontally, 1/3 from top
-        const x = geo.x + Math.floor((geo.width - bannerWidth) / 2);
-        const y = geo.y + Math.floor(geo.height / 3);
+        // Keep the banner on its monitor whatever the offset
+        x = Math.max(area.x, Math.min(x, area.x + area.width - bannerWidth));
+        y = Math.max(area.y, Math.min(y, area.y + area.height - bannerHeight));
 
-        this._banner.set_position(x, y);
+        banner.set_position(x, y);
     }
 
     // Show the banner for the given monitor and workspace
-    show(monitorIndex, wsIndex) {
+    // swappedMonitor: the other monitor of a swap (-1 if none), shown with 'affected'
+    show(monitorIndex, wsIndex, swappedMonitor = -1) {
         if (!this._isEnabled()) return;
 
+        const states = this._getBannerStates(monitorIndex, wsIndex, swappedMonitor);
+
         // Avoid showing duplicate banners for the same state
-        if (monitorIndex === this._lastMonitor && wsIndex === this._lastWsIndex) {
+        const stateKey = states.map(([m, ws]) => `${m}:${ws}`).join(',');
+        if (stateKey === this._lastStateKey) {
             return;
         }
+        this._lastStateKey = stateKey;
 
-        this._lastMonitor = monitorIndex;
-        this._lastWsIndex = wsIndex;
-
-        // Clear any existing timeouts
+        // Clear any existing timeouts and banners
         this._clearTimeouts();
+        this._removeBanners();
 
-        // Create or update banner
-        this._createBanner();
-
-        // Update labels (display is 1-indexed for user display)
-        this._displayLabel.text = String(monitorIndex + 1);
-        this._wsLabel.text = String(wsIndex + 1);
-
-        // Show with full opacity
-        this._banner.opacity = 255;
+        // Create banners, shown with full opacity
+        for (const [m, ws] of states) {
+            const banner = this._createBanner(m, ws);
+            banner.opacity = 255;
+            this._banners.set(m, banner);
+        }
 
         // Position after a small delay to ensure size is calculated
-        // Cancel any existing position idle to avoid conflicts
-        if (this._positionIdleId) {
-            GLib.source_remove(this._positionIdleId);
-        }
         this._positionIdleId = GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
             this._positionIdleId = null;
             if (!this._isDestroyed) {
-                this._positionBanner(monitorIndex);
+                for (const m of this._banners.keys()) {
+                    this._positionBanner(m);
+                }
             }
             return GLib.SOURCE_REMOVE;
         });
 
-        // Start fade out after 500ms
-        this._hideTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 500, () => {
+        // Start fade out after the configured duration
+        const duration = this._settings.get_int('popup-banner-duration');
+        this._hideTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, duration, () => {
             this._hideTimeoutId = null;
 
             if (this._isDestroyed) {
                 return GLib.SOURCE_REMOVE;
             }
 
-            if (this._banner) {
+            for (const [m, banner] of this._banners) {
                 // Fade out animation
-                this._banner.ease({
+                banner.ease({
                     opacity: 0,
-                    duration: 200,
+                    duration: FADE_DURATION,
                     mode: Clutter.AnimationMode.EASE_OUT_QUAD,
                     onComplete: () => {
-                        // Check if destroyed during animation
-                        if (!this._isDestroyed) {
-                            this._removeBanner();
-                            this._lastMonitor = -1;
-                            this._lastWsIndex = -1;
+                        // Skip banners destroyed or replaced during the animation
+                        if (this._isDestroyed || this._banners.get(m) !== banner) return;
+
+                        this._removeBanner(m);
+                        if (this._banners.size === 0) {
+                            this._lastStateKey = null;
                         }
                     },
                 });
@@ -192,10 +314,9 @@ export class PopupBanner {
     }
 
     // Force show (bypass duplicate check)
-    forceShow(monitorIndex, wsIndex) {
-        this._lastMonitor = -1;
-        this._lastWsIndex = -1;
-        this.show(monitorIndex, wsIndex);
+    forceShow(monitorIndex, wsIndex, swappedMonitor = -1) {
+        this._lastStateKey = null;
+        this.show(monitorIndex, wsIndex, swappedMonitor);
     }
 
     destroy() {
@@ -207,7 +328,10 @@ export class PopupBanner {
         }
 
         this._clearTimeouts();
-        this._removeBanner();
+        this._removeBanners();
+        this._theme.destroy();
+        this._theme = null;
+        this._handler = null;
         this._settings = null;
     }
 }
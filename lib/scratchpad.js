@@ -0,0 +1,75 @@
+// Scratchpad for Multi Monitors Workspace Extension
+// Windows kept off the numbered workspaces: hidden until summoned onto a monitor, floating
+// No Shell imports: tracks window ids only (the extension moves the windows)
+
+// Scratchpad used by the keybindings (app rules and D-Bus may name others)
+export const DEFAULT_SCRATCHPAD = 'default';
+
+export class Scratchpad {
+    // windowId -> { name, shown } (shown: summoned onto a monitor)
+    // Insertion order is the order hidden windows are summoned in
+    _windows = new Map();
+
+    /**
+     * Add a window (hidden) to a scratchpad
+     */
+    add(windowId, name = DEFAULT_SCRATCHPAD) {
+        this._windows.set(windowId, { name: name || DEFAULT_SCRATCHPAD, shown: false });
+    }
+
+    remove(windowId) {
+        this._windows.delete(windowId);
+    }
+
+    has(windowId) {
+        return this._windows.has(windowId);
+    }
+
+    /**
+     * @returns {string|null} Scratchpad name of a window, or null if it is not in one
+     */
+    nameOf(windowId) {
+        return this._windows.get(windowId)?.name ?? null;
+    }
+
+    isShown(windowId) {
+        return this._windows.get(windowId)?.shown ?? false;
+    }
+
+    /**
+     * Record that a window was summoned or hidden
+     * A hidden window goes last, so the next toggle summons another one of its scratchpad
+     */
+    setShown(windowId, shown) {
+        const entry = this._windows.get(windowId);
+        if (!entry) return;
+
+        entry.shown = shown;
+        if (!shown) {
+            this._windows.delete(windowId);
+            this._windows.set(windowId, entry);
+        }
+    }
+
+    /**
+     * Window ids of a scratchpad, in summon order
+     */
+    windowsOf(name = DEFAULT_SCRATCHPAD) {
+        const key = name || DEFAULT_SCRATCHPAD;
+        return [...this._windows].filter(([, entry]) => entry.name === key).map(([id]) => id);
+    }
+
+    /**
+     * [windowId, { name, shown }] of every scratchpad window
+     */
+    entries() {
+        return [...this._windows];
+    }
+
+    /**
+     * Ids of all hidden windows
+     */
+    hiddenWindows() {
+        return [...this._windows].filter(([, entry]) => !entry.shown).map(([id]) => id);
+    }
+}
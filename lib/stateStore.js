@@ -0,0 +1,116 @@
+// State Store for Multi Monitors Workspace Extension
+// Persists monitor/workspace mapping and window placement across shell restarts
+
+import GLib from 'gi://GLib';
+import Shell from 'gi://Shell';
+
+// Bump when the on-disk format changes incompatibly
+const STATE_VERSION = 2;
+
+export class StateStore {
+    constructor(uuid) {
+        this._dirPath = GLib.build_filenamev([GLib.get_user_state_dir(), uuid]);
+        this._filePath = GLib.build_filenamev([this._dirPath, 'state.json']);
+    }
+
+    /**
+     * Load persisted state from disk
+     * @returns {object|null} Parsed state, or null if missing/invalid
+     */
+    load() {
+        try {
+            if (!GLib.file_test(this._filePath, GLib.FileTest.EXISTS)) {
+                return null;
+            }
+            const [ok, contents] = GLib.file_get_contents(this._filePath);
+            if (!ok) return null;
+
+            const state = JSON.parse(new TextDecoder().decode(contents));
+            if (!state || state.version !== STATE_VERSION) {
+                console.log('[NamakeWM-State] Ignoring state file with unknown version');
+                return null;
+            }
+            if (!state.profiles || typeof state.profiles !== 'object') state.profiles = {};
+            if (!Array.isArray(state.windows)) state.windows = [];
+            return state;
+        } catch (e) {
+            console.error(`[NamakeWM-State] Failed to load state: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Write state to disk (atomically replaces the previous file)
+     * @param {object} state - State object (version is filled in)
+     */
+    save(state) {
+        try {
+            GLib.mkdir_with_parents(this._dirPath, 0o700);
+            const json = JSON.stringify({ ...state, version: STATE_VERSION });
+            GLib.file_set_contents(this._filePath, json);
+        } catch (e) {
+            console.error(`[NamakeWM-State] Failed to save state: ${e.message}`);
+        }
+    }
+
+    /**
+     * Remove the state file
+     */
+    clear() {
+        try {
+            if (GLib.file_test(this._filePath, GLib.FileTest.EXISTS)) {
+                GLib.unlink(this._filePath);
+            }
+        } catch (e) {
+            console.error(`[NamakeWM-State] Failed to clear state: ${e.message}`);
+        }
+    }
+
+    /**
+     * Describe a window by properties that survive a shell restart
+     * (get_stable_sequence() does not)
+     * @param {Meta.Window} window - Window to describe
+     * @returns {object} { wmClass, appId, title, pid }
+     */
+    describeWindow(window) {
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+        return {
+            wmClass: window.get_wm_class?.() ?? '',
+            appId: app?.get_id() ?? window.get_gtk_application_id?.() ?? '',
+            title: window.get_title?.() ?? '',
+            pid: window.get_pid?.() ?? -1,
+        };
+    }
+
+    /**
+     * Find and remove the saved record that best matches a window
+     * WM_CLASS/app id must agree; PID and title break ties between candidates
+     * @param {Meta.Window} window - Window to match
+     * @param {object[]} records - Saved window records (matched entry is removed)
+     * @returns {object|null} Matching record, or null
+     */
+    takeMatchingRecord(window, records) {
+        const props = this.describeWindow(window);
+        let bestIndex = -1;
+        let bestScore = 0;
+
+        for (let i = 0; i < records.length; i++) {
+            const record = records[i];
+            if (record.wmClass !== props.wmClass) continue;
+            if (record.appId && props.appId && record.appId !== props.appId) continue;
+
+            // Class match alone is enough, but prefer exact title/PID matches
+            let score = 1;
+            if (record.title === props.title) score += 2;
+            if (record.pid === props.pid && props.pid > 0) score += 1;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = i;
+            }
+        }
+
+        if (bestIndex === -1) return null;
+        return records.splice(bestIndex, 1)[0];
+    }
+}
@@ -0,0 +1,128 @@
+// Swipe Gesture for Multi Monitors Workspace Extension
+// Touchpad swipe that cycles the workspace of the monitor under the pointer
+
+import Clutter from 'gi://Clutter';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+// Unaccelerated distance a swipe must travel to count
+const SWIPE_THRESHOLD = 60;
+
+// Unaccelerated distance after which a swipe's axis is decided
+const AXIS_THRESHOLD = 10;
+
+// workspace-cycle-gesture value -> finger count
+const GESTURE_FINGERS = {
+    'three-finger-horizontal': 3,
+    'four-finger-horizontal': 4,
+};
+
+export class WorkspaceSwipeGesture {
+    /**
+     * @param {Gio.Settings} settings - Extension settings (workspace-cycle-gesture)
+     * @param {Function} onSwipe - Called with forward (true: swipe left, like GNOME's next workspace)
+     */
+    constructor(settings, onSwipe) {
+        this._settings = settings;
+        this._onSwipe = onSwipe;
+        // Swipe in progress: null (undecided), 'horizontal' (ours) or 'vertical' (left to GNOME)
+        this._axis = null;
+        this._dx = 0;
+        this._dy = 0;
+        this._gnomeSwipeDisabled = false;
+
+        this._capturedEventId = global.stage.connect('captured-event', (actor, event) => {
+            return this._onCapturedEvent(event);
+        });
+        this._settingsChangedId = this._settings.connect('changed::workspace-cycle-gesture', () => {
+            this._updateGnomeSwipe();
+        });
+        this._updateGnomeSwipe();
+    }
+
+    _getFingers() {
+        return GESTURE_FINGERS[this._settings.get_string('workspace-cycle-gesture')] ?? 0;
+    }
+
+    // GNOME switches workspaces with its own three-finger horizontal swipe, whose tracker sees
+    // touchpad events before us: turn it off while ours uses the same gesture, so one swipe
+    // is not handled twice. Relies on GNOME Shell's private
+    // Main.wm._workspaceAnimation._swipeTracker (45-47), skipped if a later version drops it
+    _updateGnomeSwipe() {
+        const swipeTracker = Main.wm._workspaceAnimation?._swipeTracker;
+        if (!swipeTracker) return;
+
+        const disable = this._getFingers() === 3;
+        if (disable === this._gnomeSwipeDisabled) return;
+
+        swipeTracker.enabled = !disable;
+        this._gnomeSwipeDisabled = disable;
+    }
+
+    _onCapturedEvent(event) {
+        if (event.type() !== Clutter.EventType.TOUCHPAD_SWIPE) return Clutter.EVENT_PROPAGATE;
+
+        const fingers = this._getFingers();
+        if (fingers === 0 || event.get_touchpad_gesture_finger_count() !== fingers) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        // The overview has its own workspace swipe
+        if (Main.overview.visible) {
+            this._reset();
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        const phase = event.get_gesture_phase();
+        if (phase === Clutter.TouchpadGesturePhase.BEGIN) {
+            this._reset();
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        if (phase === Clutter.TouchpadGesturePhase.UPDATE) {
+            const [dx, dy] = event.get_gesture_motion_delta_unaccelerated();
+            this._dx += dx;
+            this._dy += dy;
+            // Decide the axis once the fingers have moved far enough
+            if (this._axis === null && Math.abs(this._dx) + Math.abs(this._dy) >= AXIS_THRESHOLD) {
+                this._axis = Math.abs(this._dx) > Math.abs(this._dy) ? 'horizontal' : 'vertical';
+            }
+            return this._axis === 'horizontal' ? Clutter.EVENT_STOP : Clutter.EVENT_PROPAGATE;
+        }
+
+        // END or CANCEL
+        const claimed = this._axis === 'horizontal';
+        // One workspace per swipe, however long
+        if (claimed && phase === Clutter.TouchpadGesturePhase.END &&
+            Math.abs(this._dx) >= SWIPE_THRESHOLD) {
+            this._onSwipe(this._dx < 0);
+        }
+        this._reset();
+        return claimed ? Clutter.EVENT_STOP : Clutter.EVENT_PROPAGATE;
+    }
+
+    _reset() {
+        this._axis = null;
+        this._dx = 0;
+        this._dy = 0;
+    }
+
+    destroy() {
+        if (this._capturedEventId) {
+            global.stage.disconnect(this._capturedEventId);
+            this._capturedEventId = null;
+        }
+        if (this._settingsChangedId) {
+            this._settings.disconnect(this._settingsChangedId);
+            this._settingsChangedId = null;
+        }
+
+        // Give GNOME its swipe back
+        if (this._gnomeSwipeDisabled) {
+            const swipeTracker = Main.wm._workspaceAnimation?._swipeTracker;
+            if (swipeTracker) swipeTracker.enabled = true;
+            this._gnomeSwipeDisabled = false;
+        }
+        this._settings = null;
+        this._onSwipe = null;
+    }
+}
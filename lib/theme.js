@@ -0,0 +1,117 @@
+// Theme for Multi Monitors Workspace Extension
+// Indicator and banner look: classes from stylesheet.css, overridden by the theme-* settings
+
+import Gio from 'gi://Gio';
+
+const INTERFACE_SCHEMA = 'org.gnome.desktop.interface';
+
+// Settings overriding the stylesheet (empty color, 0 size or -1 radius: keep the stylesheet's)
+const THEME_KEYS = [
+    'theme-foreground-color',
+    'theme-background-color',
+    'theme-highlight-color',
+    'theme-font-size',
+    'theme-corner-radius',
+    'theme-box-size',
+];
+
+// Added to the top-level actors when GNOME prefers a light style (see stylesheet.css)
+const LIGHT_CLASS = 'mmw-light';
+
+export class Theme {
+    /**
+     * @param {Gio.Settings} settings - Extension settings (theme-* keys)
+     * @param {Function} onChanged - Called when a theme setting or the color scheme changes
+     */
+    constructor(settings, onChanged = null) {
+        this._settings = settings;
+        this._interfaceSettings = new Gio.Settings({ schema_id: INTERFACE_SCHEMA });
+        this._signals = [];
+
+        if (onChanged) {
+            for (const key of THEME_KEYS) {
+                this._signals.push([this._settings, this._settings.connect(`changed::${key}`, onChanged)]);
+            }
+            this._signals.push([this._interfaceSettings,
+                this._interfaceSettings.connect('changed::color-scheme', onChanged)]);
+        }
+    }
+
+    /**
+     * Add or remove the light variant class on a top-level actor
+     */
+    applyVariant(actor) {
+        if (this._interfaceSettings.get_string('color-scheme') === 'prefer-light') {
+            actor.add_style_class_name(LIGHT_CLASS);
+        } else {
+            actor.remove_style_class_name(LIGHT_CLASS);
+        }
+    }
+
+    /**
+     * Inline style for an indicator box
+     * @param {string} kind - 'normal', 'current' (highlighted) or 'urgent' (keeps the stylesheet colors)
+     * @param {boolean} compact - Multi-row layout (keeps the stylesheet size)
+     */
+    getBoxStyle(kind, compact) {
+        const background = this._settings.get_string('theme-background-color');
+        const highlight = this._settings.get_string('theme-highlight-color');
+        const radius = this._settings.get_int('theme-corner-radius');
+        const boxSize = this._settings.get_int('theme-box-size');
+
+        let style = '';
+        if (kind === 'current' && highlight) {
+            style += `background-color: ${highlight}; border-color: ${highlight}; `;
+        } else if (kind === 'normal' && background) {
+            style += `background-color: ${background}; `;
+        }
+        if (radius >= 0) style += `border-radius: ${radius}px; `;
+        if (boxSize > 0 && !compact) style += `min-width: ${boxSize}px; min-height: ${boxSize}px; `;
+        return style;
+    }
+
+    /**
+     * Inline style for an indicator label
+     * @param {boolean} plain - Normal, occupied box (highlighted, urgent and empty keep the stylesheet color)
+     * @param {boolean} compact - Multi-row layout (keeps the stylesheet size)
+     */
+    getLabelStyle(plain, compact) {
+        const foreground = this._settings.get_string('theme-foreground-color');
+        const fontSize = this._settings.get_int('theme-font-size');
+
+        let style = '';
+        if (plain && foreground) style += `color: ${foreground}; `;
+        if (fontSize > 0 && !compact) style += `font-size: ${fontSize}px; `;
+        return style;
+    }
+
+    /**
+     * Inline style for the popup banner
+     */
+    getBannerStyle() {
+        const background = this._settings.get_string('theme-background-color');
+        const radius = this._settings.get_int('theme-corner-radius');
+
+        let style = '';
+        if (background) style += `background-color: ${background}; `;
+        if (radius >= 0) style += `border-radius: ${radius}px; `;
+        return style;
+    }
+
+    /**
+     * Inline style for the popup banner labels
+     */
+    getBannerLabelStyle() {
+        const foreground = this._settings.get_string('theme-foreground-color');
+        return foreground ? `color: ${foreground};` : '';
+    }
+
+    destroy() {
+        for (const [obj, id] of this._signals) {
+            obj.disconnect(id);
+        }
+        this._signals = [];
+        this._interfaceSettings = null;
+        this._settings = null;
+    }
+}
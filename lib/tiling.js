@@ -0,0 +1,392 @@
+// Tiling for Multi Monitors Workspace Extension
+// Per-workspace layouts (master/stack, columns, grid, monocle) applied to a monitor's windows
+// No Shell imports: prefs.js uses the layout list
+
+import { FrameTree } from './frames.js';
+
+// Layout ids and their labels (order used when cycling)
+export const LAYOUTS = [
+    { id: 'floating', label: 'Floating' },
+    { id: 'master-stack', label: 'Master/Stack (Vertical)' },
+    { id: 'master-stack-horizontal', label: 'Master/Stack (Horizontal)' },
+    { id: 'columns', label: 'Columns' },
+    { id: 'grid', label: 'Grid' },
+    { id: 'monocle', label: 'Monocle' },
+    { id: 'frames', label: 'Frames (Manual)' },
+];
+
+export const MIN_MASTER_RATIO = 0.1;
+export const MAX_MASTER_RATIO = 0.9;
+
+// Split a length into n integer parts that add up exactly
+function splitLength(start, length, n) {
+    const parts = [];
+    for (let i = 0; i < n; i++) {
+        const from = start + Math.round(length * i / n);
+        const to = start + Math.round(length * (i + 1) / n);
+        parts.push([from, to - from]);
+    }
+    return parts;
+}
+
+// n cells stacked vertically (or side by side) in a rect
+function stackCells(rect, n, vertical) {
+    if (vertical) {
+        return splitLength(rect.y, rect.height, n)
+            .map(([y, height]) => ({ x: rect.x, y, width: rect.width, height }));
+    }
+    return splitLength(rect.x, rect.width, n)
+        .map(([x, width]) => ({ x, y: rect.y, width, height: rect.height }));
+}
+
+function masterStackCells(area, n, options, horizontal) {
+    const masterCount = Math.min(options.masterCount, n);
+    const stackCount = n - masterCount;
+
+    // Only one side in use: it takes the whole area
+    if (masterCount === 0 || stackCount === 0) {
+        return stackCells(area, n, !horizontal);
+    }
+
+    let masterRect, stackRect;
+    if (horizontal) {
+        const masterHeight = Math.round(area.height * options.masterRatio);
+        masterRect = { x: area.x, y: area.y, width: area.width, height: masterHeight };
+        stackRect = { x: area.x, y: area.y + masterHeight, width: area.width, height: area.height - masterHeight };
+    } else {
+        const masterWidth = Math.round(area.width * options.masterRatio);
+        masterRect = { x: area.x, y: area.y, width: masterWidth, height: area.height };
+        stackRect = { x: area.x + masterWidth, y: area.y, width: area.width - masterWidth, height: area.height };
+    }
+    return [
+        ...stackCells(masterRect, masterCount, !horizontal),
+        ...stackCells(stackRect, stackCount, !horizontal),
+    ];
+}
+
+function gridCells(area, n) {
+    const cols = Math.ceil(Math.sqrt(n));
+    const rows = Math.ceil(n / cols);
+    const cells = [];
+    splitLength(area.y, area.height, rows).forEach(([y, height], row) => {
+        // The last row may have fewer windows: they share its full width
+        const inRow = Math.min(cols, n - row * cols);
+        for (const [x, width] of splitLength(area.x, area.width, inRow)) {
+            cells.push({ x, y, width, height });
+        }
+    });
+    return cells;
+}
+
+// Inset a rect by the same amount on every side
+function insetRect(rect, inset) {
+    return {
+        x: rect.x + inset,
+        y: rect.y + inset,
+        width: Math.max(1, rect.width - inset * 2),
+        height: Math.max(1, rect.height - inset * 2),
+    };
+}
+
+/**
+ * Compute window rects for a layout
+ * @param {string} layout - Layout id (see LAYOUTS)
+ * @param {object} workArea - { x, y, width, height } of the monitor's work area
+ * @param {number} n - Number of windows, in layout order
+ * @param {object} options - { masterRatio, masterCount, gap }
+ * @returns {object[]|null} One { x, y, width, height } per window, or null for floating
+ */
+export function computeLayout(layout, workArea, n, options) {
+    if (layout === 'floating' || n === 0) return null;
+
+    // Cells are computed on an area inset by half a gap and shrunk by another half:
+    // gap pixels between windows and around the edges
+    const half = Math.floor(options.gap / 2);
+    const area = insetRect(workArea, half);
+
+    let cells;
+    switch (layout) {
+    case 'master-stack':
+        cells = masterStackCells(area, n, options, false);
+        break;
+    case 'master-stack-horizontal':
+        cells = masterStackCells(area, n, options, true);
+        break;
+    case 'columns':
+        cells = stackCells(area, n, false);
+        break;
+    case 'grid':
+        cells = gridCells(area, n);
+        break;
+    case 'monocle':
+        cells = Array.from({ length: n }, () => ({ ...area }));
+        break;
+    default:
+        return null;
+    }
+
+    return cells.map(cell => insetRect(cell, half));
+}
+
+export class TilingManager {
+    /**
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {Function} getWindowId - Window -> stable id (the extension's _getWindowId)
+     * @param {Map} frameTrees - wsIndex -> FrameTree, owned by the caller (outlives disable)
+     */
+    constructor(settings, getWindowId, frameTrees) {
+        this._settings = settings;
+        this._getWindowId = getWindowId;
+        this._frameTrees = frameTrees;
+
+        // wsIndex -> [windowId, ...] in layout order (first = master)
+        this._windowOrder = new Map();
+
+        // Windows kept out of tiling (toggled, or app rules with floating)
+        this._floatingWindows = new Set();
+    }
+
+    destroy() {
+        this._windowOrder.clear();
+        this._floatingWindows.clear();
+        this._frameTrees = null;
+        this._settings = null;
+    }
+
+    isEnabled() {
+        return this._settings.get_boolean('enable-tiling');
+    }
+
+    // ========== Per-Workspace Settings ==========
+
+    _getWorkspaceSettings() {
+        try {
+            const parsed = JSON.parse(this._settings.get_string('tiling-workspaces'));
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    _updateWorkspaceSettings(wsIndex, changes) {
+        const all = this._getWorkspaceSettings();
+        all[wsIndex] = { ...all[wsIndex], ...changes };
+        this._settings.set_string('tiling-workspaces', JSON.stringify(all));
+    }
+
+    /**
+     * Layout and parameters of a workspace (per-workspace values over the defaults)
+     * @returns {object} { layout, masterRatio, masterCount, gap }
+     */
+    getWorkspaceOptions(wsIndex) {
+        const entry = this._getWorkspaceSettings()[wsIndex] ?? {};
+        const layout = LAYOUTS.some(l => l.id === entry.layout)
+            ? entry.layout
+            : this._settings.get_string('tiling-default-layout');
+        return {
+            layout,
+            masterRatio: entry.masterRatio ?? this._settings.get_double('tiling-master-ratio'),
+            masterCount: entry.masterCount ?? this._settings.get_int('tiling-master-count'),
+            gap: this._settings.get_int('tiling-gap'),
+        };
+    }
+
+    /**
+     * Whether windows of a workspace are tiled
+     */
+    isTiled(wsIndex) {
+        return this.isEnabled() && this.getWorkspaceOptions(wsIndex).layout !== 'floating';
+    }
+
+    /**
+     * Switch a workspace to the next (or previous) layout
+     * @returns {string} New layout id
+     */
+    cycleLayout(wsIndex, forward = true) {
+        const current = LAYOUTS.findIndex(l => l.id === this.getWorkspaceOptions(wsIndex).layout);
+        const next = LAYOUTS[(current + (forward ? 1 : LAYOUTS.length - 1)) % LAYOUTS.length].id;
+        this._updateWorkspaceSettings(wsIndex, { layout: next });
+        return next;
+    }
+
+    adjustMasterRatio(wsIndex, delta) {
+        const ratio = this.getWorkspaceOptions(wsIndex).masterRatio + delta;
+        const clamped = Math.min(MAX_MASTER_RATIO, Math.max(MIN_MASTER_RATIO, ratio));
+        this._updateWorkspaceSettings(wsIndex, { masterRatio: Math.round(clamped * 100) / 100 });
+    }
+
+    adjustMasterCount(wsIndex, delta) {
+        const count = Math.max(0, this.getWorkspaceOptions(wsIndex).masterCount + delta);
+        this._updateWorkspaceSettings(wsIndex, { masterCount: count });
+    }
+
+    // ========== Window Order and Floating ==========
+
+    isFloating(window) {
+        return this._floatingWindows.has(this._getWindowId(window));
+    }
+
+    setFloating(window, floating) {
+        const windowId = this._getWindowId(window);
+        if (floating) {
+            this._floatingWindows.add(windowId);
+        } else {
+            this._floatingWindows.delete(windowId);
+        }
+    }
+
+    /**
+     * Sort windows into a workspace's layout order
+     * Known windows keep their place; new ones are appended (oldest first)
+     * @param {number} wsIndex - Workspace the windows are shown for
+     * @param {Meta.Window[]} windows - Tiled windows currently on the workspace
+     * @returns {Meta.Window[]} Windows in layout order
+     */
+    orderWindows(wsIndex, windows) {
+        const order = this._windowOrder.get(wsIndex) ?? [];
+        const byId = new Map(windows.map(w => [this._getWindowId(w), w]));
+
+        const ordered = order.filter(id => byId.has(id));
+        const added = [...byId.keys()]
+            .filter(id => !ordered.includes(id))
+            .sort((a, b) => byId.get(a).get_stable_sequence() - byId.get(b).get_stable_sequence());
+        const ids = [...ordered, ...added];
+
+        this._windowOrder.set(wsIndex, ids);
+        return ids.map(id => byId.get(id));
+    }
+
+    /**
+     * Exchange a window with its neighbor in layout order (tree order for frames)
+     * @returns {boolean} false if the window is not part of the order or is alone
+     */
+    swapWithNeighbor(wsIndex, window, forward) {
+        if (this.getWorkspaceOptions(wsIndex).layout === 'frames') {
+            return this.getFrameTree(wsIndex).swapWindow(this._getWindowId(window), forward);
+        }
+
+        const ids = this._windowOrder.get(wsIndex) ?? [];
+        const index = ids.indexOf(this._getWindowId(window));
+        if (index === -1 || ids.length < 2) return false;
+
+        const target = (index + (forward ? 1 : ids.length - 1)) % ids.length;
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        return true;
+    }
+
+    /**
+     * Exchange two windows of a workspace in layout order
+     * @returns {boolean} false if either window is not part of the order
+     */
+    swapWindows(wsIndex, windowA, windowB) {
+        const idA = this._getWindowId(windowA);
+        const idB = this._getWindowId(windowB);
+        if (this.getWorkspaceOptions(wsIndex).layout === 'frames') {
+            return this.getFrameTree(wsIndex).swapWindows(idA, idB);
+        }
+
+        const ids = this._windowOrder.get(wsIndex) ?? [];
+        const a = ids.indexOf(idA);
+        const b = ids.indexOf(idB);
+        if (a === -1 || b === -1) return false;
+
+        [ids[a], ids[b]] = [idB, idA];
+        return true;
+    }
+
+    /**
+     * Move a window into the neighboring frame in a direction (frames layout)
+     * @returns {boolean} false if there is no frame that way
+     */
+    moveWindowToFrame(wsIndex, window, direction, workArea) {
+        return this.getFrameTree(wsIndex).moveWindow(this._getWindowId(window), direction, workArea);
+    }
+
+    /**
+     * Place windows according to the workspace's layout
+     * @param {number} wsIndex - Workspace shown in the work area
+     * @param {object} workArea - Monitor work area { x, y, width, height }
+     * @param {Meta.Window[]} windows - Tiled windows (floating ones already excluded)
+     */
+    arrange(wsIndex, workArea, windows) {
+        const options = this.getWorkspaceOptions(wsIndex);
+        const ordered = this.orderWindows(wsIndex, windows);
+
+        if (options.layout === 'frames') {
+            this._arrangeFrames(wsIndex, workArea, ordered, options.gap);
+            return;
+        }
+
+        const rects = computeLayout(options.layout, workArea, ordered.length, options);
+        if (!rects) return;
+        ordered.forEach((window, i) => this._placeWindow(window, rects[i]));
+    }
+
+    _placeWindow(window, rect) {
+        const maximized = window.get_maximized();
+        if (maximized) window.unmaximize(maximized);
+
+        const current = window.get_frame_rect();
+        if (current.x === rect.x && current.y === rect.y &&
+            current.width === rect.width && current.height === rect.height) {
+            return;
+        }
+        window.move_resize_frame(false, rect.x, rect.y, rect.width, rect.height);
+    }
+
+    // ========== Frames ==========
+
+    /**
+     * Frame tree of a workspace (created on first use)
+     */
+    getFrameTree(wsIndex) {
+        let tree = this._frameTrees.get(wsIndex);
+        if (!tree) {
+            tree = new FrameTree();
+            this._frameTrees.set(wsIndex, tree);
+        }
+        return tree;
+    }
+
+    /**
+     * Whether a workspace is tiled with manual frames
+     */
+    isFrameLayout(wsIndex) {
+        return this.isTiled(wsIndex) && this.getWorkspaceOptions(wsIndex).layout === 'frames';
+    }
+
+    /**
+     * Leaf frame rects of a workspace laid out in a work area (gap around the frames)
+     * @returns {Map} leaf -> { x, y, width, height }
+     */
+    getFrameRects(wsIndex, workArea) {
+        const half = Math.floor(this._settings.get_int('tiling-gap') / 2);
+        const rects = this.getFrameTree(wsIndex).layout(insetRect(workArea, half));
+        for (const [leaf, rect] of rects) {
+            rects.set(leaf, insetRect(rect, half));
+        }
+        return rects;
+    }
+
+    /**
+     * Track the focused window's frame as the workspace's focused frame
+     */
+    onWindowFocused(wsIndex, window) {
+        if (this._frameTrees.has(wsIndex)) {
+            this._frameTrees.get(wsIndex).focusWindow(this._getWindowId(window));
+        }
+    }
+
+    // Windows of a frame are stacked vertically inside it
+    _arrangeFrames(wsIndex, workArea, windows, gap) {
+        const tree = this.getFrameTree(wsIndex);
+        const byId = new Map(windows.map(w => [this._getWindowId(w), w]));
+        tree.syncWindows([...byId.keys()]);
+
+        const half = Math.floor(gap / 2);
+        for (const [leaf, rect] of tree.layout(insetRect(workArea, half))) {
+            const cells = stackCells(rect, leaf.windows.length, true);
+            leaf.windows.forEach((id, i) => this._placeWindow(byId.get(id), insetRect(cells[i], half)));
+        }
+    }
+}
@@ -5,15 +5,27 @@ import Clutter from 'gi://Clutter';
 import Cogl from 'gi://Cogl';
 import GdkPixbuf from 'gi://GdkPixbuf';
 import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
 
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
+// Cross-fade between slideshow images
+const CROSSFADE_DURATION = 800;
+
+// Slideshow interval in minutes when a group does not set one
+const DEFAULT_SLIDESHOW_INTERVAL = 10;
+
 export class WallpaperOverlayManager {
     constructor(settings) {
         this._settings = settings;
         this._overlays = new Map(); // monitorIndex -> Clutter.Actor
-        this._imageCache = new Map(); // cacheKey -> Clutter.Image
-        this._wallpaperGroups = []; // [{path, workspaces, scale, tile}, ...]
+        this._imageCache = new Map(); // cacheKey -> Clutter.Image (slideshows: current images only)
+        this._spanPixbuf = null; // { key, pixbuf } - image prepared for the whole layout (span mode), during update()
+        this._slideshows = new Map(); // directory -> { files, position, shuffle, interval, timeoutId }
+        // [{path, workspaces, scale, tile, connector, orientation, portraitPath, span, interval, shuffle}, ...]
+        // path/portraitPath may be a directory: a slideshow of its images
+        // (pathIsDirectory/portraitPathIsDirectory, checked when the groups are loaded)
+        this._wallpaperGroups = [];
         this._lastMonitorWorkspaceMap = null; // Cache for settings change refresh
         this._enabled = false;
 
@@ -42,6 +54,7 @@ export class WallpaperOverlayManager {
         console.log('[NamakeWM-Wallpaper] Disabling WallpaperOverlayManager');
         this._enabled = false;
         this._disconnectRuntimeSignals();
+        this._stopSlideshows();
         this._destroyOverlays();
         this._clearImageCache();
     }
@@ -65,10 +78,37 @@ export class WallpaperOverlayManager {
 
         console.log(`[NamakeWM-Wallpaper] update() called with ${monitorWorkspaceMap.size} monitors`);
         for (const [monitorIndex, wsIndex] of monitorWorkspaceMap) {
-            const group = this._getWallpaperGroupForWs(wsIndex);
+            const group = this._getWallpaperGroupForWs(wsIndex, monitorIndex);
             console.log(`[NamakeWM-Wallpaper] M${monitorIndex} WS${wsIndex} -> ${group?.path || 'system'}`);
             this._updateOverlay(monitorIndex, group);
         }
+        // Every monitor's crop is cached now: drop the layout-sized image
+        this._spanPixbuf = null;
+
+        // Slideshows no monitor shows any more wait, at their current image, until shown again
+        const shown = this._getShownSlideshows();
+        for (const slideshow of this._slideshows.values()) {
+            if (!shown.has(slideshow.directory)) this._pauseSlideshow(slideshow);
+        }
+    }
+
+    /**
+     * Show the next image of the slideshow on a monitor, restarting its interval
+     * @returns {boolean} False if the monitor does not show a slideshow
+     */
+    nextWallpaper(monitorIndex) {
+        if (!this._enabled || !this._lastMonitorWorkspaceMap) return false;
+
+        const wsIndex = this._lastMonitorWorkspaceMap.get(monitorIndex);
+        const group = wsIndex === undefined ? null : this._getWallpaperGroupForWs(wsIndex, monitorIndex);
+        if (!group?.path) return false;
+        const source = this._getGroupSource(group, monitorIndex);
+        const slideshow = source.isDirectory ? this._slideshows.get(source.path) : null;
+        if (!slideshow) return false;
+
+        this._scheduleSlideshow(slideshow);
+        this._advanceSlideshow(slideshow, this._getShownSlideshows().get(slideshow.directory) ?? []);
+        return true;
     }
 
     // Refresh all overlays using cached map (for settings change)
@@ -88,10 +128,21 @@ export class WallpaperOverlayManager {
             if (!Array.isArray(this._wallpaperGroups)) {
                 this._wallpaperGroups = [];
             }
-            // Ensure each group has scale and tile properties (default: scale=true, tile=false)
+            // Ensure each group has scale and tile properties (default: scale=true, tile=false),
+            // monitor constraints (default: any monitor, same image on all, no span)
+            // and slideshow options (default: every 10 minutes, sorted)
             for (const group of this._wallpaperGroups) {
                 if (group.scale === undefined) group.scale = true;
                 if (group.tile === undefined) group.tile = false;
+                if (group.connector === undefined) group.connector = '';
+                if (group.orientation === undefined) group.orientation = 'any';
+                if (group.portraitPath === undefined) group.portraitPath = '';
+                if (group.span === undefined) group.span = false;
+                if (group.interval === undefined) group.interval = DEFAULT_SLIDESHOW_INTERVAL;
+                if (group.shuffle === undefined) group.shuffle = false;
+                // Checked once here rather than on every workspace switch
+                group.pathIsDirectory = this._isDirectory(group.path);
+                group.portraitPathIsDirectory = this._isDirectory(group.portraitPath);
             }
         } catch (e) {
             console.log(`[NamakeWM-Wallpaper] Failed to parse wallpaper-groups: ${e.message}`);
@@ -117,6 +168,7 @@ export class WallpaperOverlayManager {
         const id2 = this._settings.connect('changed::wallpaper-groups', () => {
             console.log('[NamakeWM-Wallpaper] wallpaper-groups changed, refreshing');
             this._loadSettings();
+            this._syncSlideshows();
             this._clearImageCache();
             this._refreshAllOverlays();
         });
@@ -146,14 +198,71 @@ export class WallpaperOverlayManager {
         }
     }
 
-    _getWallpaperGroupForWs(wsIndex) {
-        // Find wallpaper group for this workspace
+    _getWallpaperGroupForWs(wsIndex, monitorIndex) {
+        // Find wallpaper group for this workspace on this monitor
+        // The most specific matching group wins (connector, then orientation), then the first one
+        let best = null;
+        let bestScore = -1;
         for (const group of this._wallpaperGroups) {
-            if (group.workspaces && group.workspaces.includes(wsIndex)) {
-                return group;
+            if (!group.workspaces || !group.workspaces.includes(wsIndex)) continue;
+            if (!this._groupMatchesMonitor(group, monitorIndex)) continue;
+
+            const score = (group.connector ? 2 : 0) + (group.orientation !== 'any' ? 1 : 0);
+            if (score > bestScore) {
+                best = group;
+                bestScore = score;
             }
         }
-        return null; // No custom wallpaper, show system wallpaper
+        return best; // null: no custom wallpaper, show system wallpaper
+    }
+
+    // Check a group's monitor constraints (connector such as "DP-1", landscape/portrait)
+    _groupMatchesMonitor(group, monitorIndex) {
+        if (group.connector) {
+            const monitorManager = global.backend.get_monitor_manager();
+            if (monitorManager.get_monitor_for_connector(group.connector) !== monitorIndex) {
+                return false;
+            }
+        }
+        if (group.orientation !== 'any') {
+            const orientation = this._isPortrait(monitorIndex) ? 'portrait' : 'landscape';
+            if (group.orientation !== orientation) return false;
+        }
+        return true;
+    }
+
+    // Image or slideshow directory of a group on a monitor -> { path, isDirectory }
+    // Portrait monitors use the group's portrait image when it has one
+    _getGroupSource(group, monitorIndex) {
+        if (group.portraitPath && this._isPortrait(monitorIndex)) {
+            return { path: group.portraitPath, isDirectory: group.portraitPathIsDirectory };
+        }
+        return { path: group.path, isDirectory: group.pathIsDirectory };
+    }
+
+    _isDirectory(path) {
+        if (!path) return false;
+        const file = Gio.File.new_for_path(path);
+        return file.query_file_type(Gio.FileQueryInfoFlags.NONE, null) === Gio.FileType.DIRECTORY;
+    }
+
+    _isPortrait(monitorIndex) {
+        const geo = global.display.get_monitor_geometry(monitorIndex);
+        return geo.height > geo.width;
+    }
+
+    // Bounding box of all monitors (span mode)
+    _getLayoutBounds() {
+        const nMonitors = global.display.get_n_monitors();
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let i = 0; i < nMonitors; i++) {
+            const geo = global.display.get_monitor_geometry(i);
+            minX = Math.min(minX, geo.x);
+            minY = Math.min(minY, geo.y);
+            maxX = Math.max(maxX, geo.x + geo.width);
+            maxY = Math.max(maxY, geo.y + geo.height);
+        }
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
     }
 
     _createOverlays() {
@@ -216,7 +325,8 @@ export class WallpaperOverlayManager {
         this._createOverlays();
     }
 
-    _updateOverlay(monitorIndex, group) {
+    // fade: cross-fade from the image shown until now (slideshow), instead of switching at once
+    _updateOverlay(monitorIndex, group, fade = false) {
         const overlay = this._overlays.get(monitorIndex);
         if (!overlay) {
             console.log(`[NamakeWM-Wallpaper] No overlay for M${monitorIndex}`);
@@ -231,13 +341,22 @@ export class WallpaperOverlayManager {
             return;
         }
 
-        const { path, scale, tile } = group;
+        const { scale, tile, span } = group;
+        const path = this._resolveImagePath(this._getGroupSource(group, monitorIndex));
+        if (!path) {
+            console.log(`[NamakeWM-Wallpaper] No image for M${monitorIndex} in ${group.path}`);
+            overlay.visible = false;
+            overlay.set_content(null);
+            return;
+        }
         console.log(`[NamakeWM-Wallpaper] Setting wallpaper for M${monitorIndex}: ${path}`);
-        console.log(`[NamakeWM-Wallpaper] Mode: scale=${scale}, tile=${tile}`);
+        console.log(`[NamakeWM-Wallpaper] Mode: scale=${scale}, tile=${tile}, span=${span}`);
 
-        // Prepare image with scaling/tiling applied
+        // Prepare image with scaling/tiling applied (span: this monitor's part of the layout-wide image)
         const geo = global.display.get_monitor_geometry(monitorIndex);
-        const image = this._prepareImage(path, geo.width, geo.height, scale, tile);
+        const image = span
+            ? this._prepareSpanImage(path, geo, scale, tile)
+            : this._prepareImage(path, geo.width, geo.height, scale, tile);
         if (!image) {
             console.log(`[NamakeWM-Wallpaper] Failed to prepare image: ${path}`);
             overlay.visible = false;
@@ -250,6 +369,12 @@ export class WallpaperOverlayManager {
         // This ensures the pre-processed image is displayed as-is
         overlay.set_content_gravity(Clutter.ContentGravity.CENTER);
 
+        // Cross-fade from the image shown until now
+        const previousImage = overlay.get_content();
+        if (fade && overlay.visible && previousImage && previousImage !== image) {
+            this._crossFade(overlay, previousImage);
+        }
+
         // Set the image as content and show
         overlay.set_content(image);
         overlay.visible = true;
@@ -257,6 +382,23 @@ export class WallpaperOverlayManager {
         console.log(`[NamakeWM-Wallpaper] M${monitorIndex} overlay shown`);
     }
 
+    // Fade the previous image out on top of the new one: a child of the overlay, removed when done
+    _crossFade(overlay, previousImage) {
+        const fadeActor = new Clutter.Actor({
+            width: overlay.width,
+            height: overlay.height,
+            content: previousImage,
+            content_gravity: overlay.get_content_gravity(),
+        });
+        overlay.add_child(fadeActor);
+        fadeActor.ease({
+            opacity: 0,
+            duration: CROSSFADE_DURATION,
+            mode: Clutter.AnimationMode.EASE_IN_OUT_QUAD,
+            onComplete: () => fadeActor.destroy(),
+        });
+    }
+
     _prepareImage(imagePath, screenWidth, screenHeight, scaleToFit, tile) {
         // Cache key includes path, screen size, and display mode
         const cacheKey = `${imagePath}:${screenWidth}x${screenHeight}:s${scaleToFit}:t${tile}`;
@@ -265,6 +407,49 @@ export class WallpaperOverlayManager {
             return this._imageCache.get(cacheKey);
         }
 
+        const pixbuf = this._preparePixbuf(imagePath, screenWidth, screenHeight, scaleToFit, tile);
+        const image = pixbuf ? this._createImage(pixbuf) : null;
+        if (image) {
+            this._imageCache.set(cacheKey, image);
+        }
+        return image;
+    }
+
+    // Span mode: scale/tile the image over the bounding box of all monitors, then crop the
+    // part under one monitor (gaps between monitors of different sizes are cut out)
+    _prepareSpanImage(imagePath, geo, scaleToFit, tile) {
+        const bounds = this._getLayoutBounds();
+        const spanKey = `${imagePath}:span${bounds.x},${bounds.y},${bounds.width}x${bounds.height}:s${scaleToFit}:t${tile}`;
+        const cacheKey = `${spanKey}:${geo.x},${geo.y},${geo.width}x${geo.height}`;
+        if (this._imageCache.has(cacheKey)) {
+            console.log(`[NamakeWM-Wallpaper] Using cached image for ${cacheKey}`);
+            return this._imageCache.get(cacheKey);
+        }
+
+        // The layout-sized image is large: keep only one, shared by the monitors of an update
+        if (this._spanPixbuf?.key !== spanKey) {
+            const pixbuf = this._preparePixbuf(imagePath, bounds.width, bounds.height, scaleToFit, tile);
+            if (!pixbuf) return null;
+            this._spanPixbuf = { key: spanKey, pixbuf };
+        }
+
+        try {
+            const part = this._spanPixbuf.pixbuf.new_subpixbuf(
+                geo.x - bounds.x, geo.y - bounds.y, geo.width, geo.height);
+            // A sub-pixbuf shares its parent's rows: copy to get a tight buffer for Clutter
+            const image = this._createImage(part.copy());
+            if (image) {
+                this._imageCache.set(cacheKey, image);
+            }
+            return image;
+        } catch (e) {
+            console.log(`[NamakeWM-Wallpaper] Error cropping span wallpaper: ${e.message}`);
+            return null;
+        }
+    }
+
+    // Load an image and scale/tile it onto a canvas of the given size
+    _preparePixbuf(imagePath, screenWidth, screenHeight, scaleToFit, tile) {
         try {
             // Check if file exists
             const file = Gio.File.new_for_path(imagePath);
@@ -324,7 +509,17 @@ export class WallpaperOverlayManager {
                 return null;
             }
 
-            // Create Clutter.Image from final pixbuf
+            return finalPixbuf;
+        } catch (e) {
+            console.log(`[NamakeWM-Wallpaper] Error preparing wallpaper: ${e.message}`);
+            console.log(`[NamakeWM-Wallpaper] Stack: ${e.stack}`);
+            return null;
+        }
+    }
+
+    // Create Clutter.Image from a final pixbuf
+    _createImage(finalPixbuf) {
+        try {
             const image = new Clutter.Image();
             const pixelFormat = finalPixbuf.get_has_alpha()
                 ? Cogl.PixelFormat.RGBA_8888
@@ -345,13 +540,9 @@ export class WallpaperOverlayManager {
 
             console.log(`[NamakeWM-Wallpaper] Clutter.Image created: ${finalPixbuf.get_width()}x${finalPixbuf.get_height()}`);
 
-            // Cache the image
-            this._imageCache.set(cacheKey, image);
-
             return image;
         } catch (e) {
-            console.log(`[NamakeWM-Wallpaper] Error preparing wallpaper: ${e.message}`);
-            console.log(`[NamakeWM-Wallpaper] Stack: ${e.stack}`);
+            console.log(`[NamakeWM-Wallpaper] Error creating wallpaper image: ${e.message}`);
             return null;
         }
     }
@@ -450,5 +641,178 @@ export class WallpaperOverlayManager {
 
     _clearImageCache() {
         this._imageCache.clear();
+        this._spanPixbuf = null;
+    }
+
+    // ========== Slideshows ==========
+
+    // Image to show for a group source: the path itself, or the current image of a directory
+    _resolveImagePath(source) {
+        if (!source.isDirectory) return source.path;
+
+        let slideshow = this._slideshows.get(source.path);
+        if (!slideshow) {
+            slideshow = this._startSlideshow(source.path);
+            if (!slideshow) return null;
+        } else if (!slideshow.timeoutId) {
+            // Shown again after a pause
+            this._scheduleSlideshow(slideshow);
+        }
+        return slideshow.files[slideshow.position];
+    }
+
+    // A directory shown by several groups follows the first one's interval and order
+    _getSlideshowGroup(directory) {
+        return this._wallpaperGroups.find(group =>
+            (group.pathIsDirectory && group.path === directory) ||
+            (group.portraitPathIsDirectory && group.portraitPath === directory)) ?? null;
+    }
+
+    // Slideshow directories on screen -> [[monitorIndex, group], ...] showing them
+    _getShownSlideshows() {
+        const shown = new Map();
+        for (const [monitorIndex, wsIndex] of this._lastMonitorWorkspaceMap ?? []) {
+            const group = this._getWallpaperGroupForWs(wsIndex, monitorIndex);
+            if (!group?.path) continue;
+            const source = this._getGroupSource(group, monitorIndex);
+            if (!source.isDirectory) continue;
+            if (!shown.has(source.path)) shown.set(source.path, []);
+            shown.get(source.path).push([monitorIndex, group]);
+        }
+        return shown;
+    }
+
+    _startSlideshow(directory) {
+        const group = this._getSlideshowGroup(directory);
+        if (!group) return null;
+
+        const files = this._listImages(directory, group.shuffle);
+        if (files.length === 0) {
+            console.log(`[NamakeWM-Wallpaper] No images in slideshow directory: ${directory}`);
+            return null;
+        }
+
+        const slideshow = {
+            directory,
+            files,
+            position: 0,
+            shuffle: group.shuffle,
+            interval: Math.max(1, group.interval),
+            timeoutId: 0,
+        };
+        this._slideshows.set(directory, slideshow);
+        this._scheduleSlideshow(slideshow);
+        console.log(`[NamakeWM-Wallpaper] Slideshow ${directory}: ${files.length} images, every ${slideshow.interval} min`);
+        return slideshow;
+    }
+
+    // (Re)start the interval of a slideshow
+    _scheduleSlideshow(slideshow) {
+        if (slideshow.timeoutId) {
+            GLib.source_remove(slideshow.timeoutId);
+        }
+        slideshow.timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, slideshow.interval * 60, () => {
+            const monitors = this._getShownSlideshows().get(slideshow.directory);
+            if (!monitors) {
+                // No monitor shows it any more: wait until it is shown again
+                slideshow.timeoutId = 0;
+                return GLib.SOURCE_REMOVE;
+            }
+            this._advanceSlideshow(slideshow, monitors);
+            return GLib.SOURCE_CONTINUE;
+        });
+    }
+
+    _pauseSlideshow(slideshow) {
+        if (slideshow.timeoutId) {
+            GLib.source_remove(slideshow.timeoutId);
+            slideshow.timeoutId = 0;
+        }
+    }
+
+    // Show the next image on the monitors showing the slideshow ([[monitorIndex, group], ...])
+    _advanceSlideshow(slideshow, monitors) {
+        const previousPath = slideshow.files[slideshow.position];
+        slideshow.position++;
+        if (slideshow.position >= slideshow.files.length) {
+            // Next round: pick up added or removed files (and a new order when shuffled)
+            const last = slideshow.files[slideshow.files.length - 1];
+            const files = this._listImages(slideshow.directory, slideshow.shuffle);
+            if (files.length > 0) slideshow.files = files;
+            // Do not show the same image twice in a row
+            if (slideshow.shuffle && slideshow.files.length > 1 && slideshow.files[0] === last) {
+                slideshow.files.push(slideshow.files.shift());
+            }
+            slideshow.position = 0;
+        }
+
+        for (const [monitorIndex, group] of monitors) {
+            this._updateOverlay(monitorIndex, group, true);
+        }
+        this._spanPixbuf = null;
+        this._uncacheImagePath(previousPath);
+    }
+
+    // Drop the prepared images of a slideshow's previous image (one per monitor size and mode),
+    // unless it is still shown: slideshows would otherwise fill the cache with every image
+    _uncacheImagePath(path) {
+        if (!path) return;
+        for (const slideshow of this._slideshows.values()) {
+            if (slideshow.files[slideshow.position] === path) return;
+        }
+        if (this._wallpaperGroups.some(group => group.path === path || group.portraitPath === path)) return;
+
+        for (const cacheKey of [...this._imageCache.keys()]) {
+            if (cacheKey.startsWith(`${path}:`)) this._imageCache.delete(cacheKey);
+        }
+    }
+
+    // Image files of a directory, sorted by name or shuffled
+    _listImages(directory, shuffle) {
+        const files = [];
+        try {
+            const enumerator = Gio.File.new_for_path(directory).enumerate_children(
+                'standard::name,standard::type,standard::content-type', Gio.FileQueryInfoFlags.NONE, null);
+            let info;
+            while ((info = enumerator.next_file(null)) !== null) {
+                if (info.get_file_type() !== Gio.FileType.REGULAR) continue;
+                if (!info.get_content_type()?.startsWith('image/')) continue;
+                files.push(GLib.build_filenamev([directory, info.get_name()]));
+            }
+            enumerator.close(null);
+        } catch (e) {
+            console.log(`[NamakeWM-Wallpaper] Failed to list ${directory}: ${e.message}`);
+            return [];
+        }
+
+        files.sort((a, b) => a.localeCompare(b));
+        if (shuffle) {
+            for (let i = files.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [files[i], files[j]] = [files[j], files[i]];
+            }
+        }
+        return files;
+    }
+
+    // After a groups change: keep running the slideshows whose directory is still used with
+    // the same options, so editing a group does not restart every slideshow from its first image
+    _syncSlideshows() {
+        for (const [directory, slideshow] of this._slideshows) {
+            const group = this._getSlideshowGroup(directory);
+            if (group && group.shuffle === slideshow.shuffle &&
+                Math.max(1, group.interval) === slideshow.interval) {
+                continue;
+            }
+            this._pauseSlideshow(slideshow);
+            this._slideshows.delete(directory);
+        }
+    }
+
+    _stopSlideshows() {
+        for (const slideshow of this._slideshows.values()) {
+            this._pauseSlideshow(slideshow);
+        }
+        this._slideshows.clear();
     }
 }
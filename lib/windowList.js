@@ -0,0 +1,55 @@
+// Window List for Multi Monitors Workspace Extension
+// App icon and title of each window of a workspace (popup banner, indicator preview)
+
+import St from 'gi://St';
+import Shell from 'gi://Shell';
+
+// Rows shown before the rest is summarized as "+N more"
+const MAX_ROWS = 10;
+
+/**
+ * Build a vertical list of windows, one row per window with its app icon and title
+ * @param {Meta.Window[]} windows - Windows to list, in display order
+ * @param {number} iconSize - App icon size in pixels
+ * @param {string} labelStyle - Inline style for the titles (theme override, may be empty)
+ * @returns {St.BoxLayout} The list (style class mmw-window-list)
+ */
+export function createWindowList(windows, iconSize, labelStyle = '') {
+    const list = new St.BoxLayout({
+        style_class: 'mmw-window-list',
+        vertical: true,
+    });
+
+    if (windows.length === 0) {
+        list.add_child(new St.Label({
+            text: 'No windows',
+            style_class: 'mmw-window-list-more',
+        }));
+        return list;
+    }
+
+    const tracker = Shell.WindowTracker.get_default();
+    for (const window of windows.slice(0, MAX_ROWS)) {
+        const app = tracker.get_window_app(window);
+        const row = new St.BoxLayout({ style_class: 'mmw-window-list-item' });
+
+        const icon = app
+            ? app.create_icon_texture(iconSize)
+            : new St.Icon({ icon_name: 'application-x-executable-symbolic', icon_size: iconSize });
+        row.add_child(icon);
+        row.add_child(new St.Label({
+            text: window.get_title() || app?.get_name() || '',
+            style_class: 'mmw-window-list-title',
+            style: labelStyle,
+        }));
+        list.add_child(row);
+    }
+
+    if (windows.length > MAX_ROWS) {
+        list.add_child(new St.Label({
+            text: `+${windows.length - MAX_ROWS} more`,
+            style_class: 'mmw-window-list-more',
+        }));
+    }
+    return list;
+}
@@ -0,0 +1,53 @@
+// Workspace History for Multi Monitors Workspace Extension
+// Per-monitor stack of previously displayed workspaces (back-and-forth switching)
+
+// Workspaces remembered per monitor
+const HISTORY_LIMIT = 16;
+
+export class WorkspaceHistory {
+    // monitorIndex -> [wsIndex, ...] (most recent last)
+    _stacks = new Map();
+
+    /**
+     * Remember what each monitor showed before a change
+     * Every monitor whose workspace changed gets its old one pushed, so a workspace
+     * swapped away to another monitor is still "previous" on the one it left
+     * @param {Map} previousMap - monitorIndex -> wsIndex before the change
+     * @param {Map} currentMap - monitorIndex -> wsIndex after the change
+     */
+    record(previousMap, currentMap) {
+        for (const [monitorIndex, wsIndex] of currentMap) {
+            const previousWs = previousMap.get(monitorIndex);
+            if (previousWs === undefined || previousWs === wsIndex) continue;
+
+            // Keep each workspace once, at its most recent position
+            const stack = (this._stacks.get(monitorIndex) ?? []).filter(ws => ws !== previousWs);
+            stack.push(previousWs);
+            if (stack.length > HISTORY_LIMIT) stack.shift();
+            this._stacks.set(monitorIndex, stack);
+        }
+    }
+
+    /**
+     * Take the most recent previous workspace of a monitor off its stack
+     * @param {number} monitorIndex - Monitor to go back on
+     * @param {number} currentWs - Workspace the monitor shows now (skipped)
+     * @param {number} count - Workspace count (workspaces past it are skipped)
+     * @returns {number} Workspace index, or -1 if there is no history
+     */
+    pop(monitorIndex, currentWs, count) {
+        const stack = this._stacks.get(monitorIndex) ?? [];
+        while (stack.length > 0) {
+            const wsIndex = stack.pop();
+            if (wsIndex !== currentWs && wsIndex < count) return wsIndex;
+        }
+        return -1;
+    }
+
+    /**
+     * Forget all history (monitor indices are reassigned on hotplug)
+     */
+    clear() {
+        this._stacks.clear();
+    }
+}
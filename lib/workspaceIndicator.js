@@ -7,63 +7,36 @@ import GObject from 'gi://GObject';
 import GLib from 'gi://GLib';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
-
-// Styles - single row (1-2 monitors horizontally)
-const BOX_SIZE_SINGLE = 28;
-const FONT_SIZE_SINGLE = '18px';
-// Styles - multi row (grid layout)
-const BOX_SIZE_MULTI = 16;
-const FONT_SIZE_MULTI = '11px';
-
-const FONT_WEIGHT = 'bold';
-const NORMAL_BG = 'rgba(0, 0, 0, 0.8)';
-const NORMAL_FG = '#ffffff';
-const NORMAL_BORDER = '1px solid #ffffff';
-const HIGHLIGHT_BG = '#ff4444';
-const HIGHLIGHT_FG = '#000000';
-const HIGHLIGHT_BORDER = '1px solid #ff4444';
-const BORDER_RADIUS = '4px';
-const MARGIN = '1px';
-const MARGIN_SINGLE = '2px';
-
-// Convert internal wsIndex (0-9) to display key (1-9, 0)
-// This matches Alt+1~9,0 keybindings
-function wsIndexToDisplayKey(wsIndex) {
-    return ((wsIndex + 1) % 10).toString();
-}
-
-// Group monitors by rows based on y coordinate
-// Returns array of rows, each row is array of monitor info sorted by x
-function groupMonitorsByRows(monitors) {
-    // Sort by y first, then x
-    const sorted = [...monitors].sort((a, b) => {
-        if (a.y !== b.y) return a.y - b.y;
-        return a.x - b.x;
-    });
-
-    // Group by similar y values (threshold for "same row")
-    const rows = [];
-    let currentRow = [];
-    let lastY = null;
-    const Y_THRESHOLD = 100; // Monitors within 100px y are same row
-
-    for (const mon of sorted) {
-        if (lastY === null || Math.abs(mon.y - lastY) <= Y_THRESHOLD) {
-            currentRow.push(mon);
-        } else {
-            if (currentRow.length > 0) rows.push(currentRow);
-            currentRow = [mon];
-        }
-        lastY = mon.y;
-    }
-    if (currentRow.length > 0) rows.push(currentRow);
-
-    // Sort each row by x
-    for (const row of rows) {
-        row.sort((a, b) => a.x - b.x);
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+
+import { wsIndexToDisplayKey, getWorkspaceName } from './workspaceLabels.js';
+import { groupMonitorsByRows } from './monitorLayout.js';
+import { Theme } from './theme.js';
+import { createWindowList } from './windowList.js';
+
+// Monitor tag colors in stylesheet.css (mmw-monitor-0 ... mmw-monitor-7), reused past that
+const MONITOR_TAG_CLASSES = 8;
+
+// Minimum time between workspace changes from scrolling (touchpads send many scroll events)
+const SCROLL_INTERVAL_MS = 150;
+
+// Hover time before the window preview of a box opens (indicator-window-preview)
+const PREVIEW_DELAY_MS = 400;
+const PREVIEW_ICON_SIZE = 16;
+// Gap between the panel and the preview
+const PREVIEW_OFFSET = 4;
+
+// Button of a press on a box: a tap counts as a primary click
+// (0 for the rest of a touch sequence, left to propagate)
+function getPressButton(event) {
+    switch (event.type()) {
+    case Clutter.EventType.TOUCH_BEGIN:
+        return Clutter.BUTTON_PRIMARY;
+    case Clutter.EventType.BUTTON_PRESS:
+        return event.get_button();
+    default:
+        return 0;
     }
-
-    return rows;
 }
 
 // Extension UUID
@@ -72,9 +45,18 @@ const EXTENSION_UUID = 'gnome-namakewm@namake-taro.github.io';
 // Panel button containing monitor workspace indicators
 export const WorkspaceIndicatorButton = GObject.registerClass(
 class WorkspaceIndicatorButton extends PanelMenu.Button {
-    _init() {
+    _init(settings, handler) {
         super._init(0.5, 'Multi Monitor Workspace Indicator');
 
+        this._settings = settings;
+
+        // Extension operations triggered from the boxes and the menu (see WorkspaceIndicatorManager)
+        this._handler = handler;
+        this._lastScrollTime = 0;
+
+        // Stylesheet classes with overrides from the theme-* settings (restyled on change)
+        this._theme = new Theme(settings, () => this.buildIndicators(this._handler.getWorkspaceMap()));
+
         // Container for monitor boxes (horizontal layout)
         this._container = new St.BoxLayout({
             style_class: 'panel-button',
@@ -83,15 +65,23 @@ class WorkspaceIndicatorButton extends PanelMenu.Button {
         });
         this.add_child(this._container);
 
-        // Open preferences on click
-        this.connect('button-press-event', () => {
-            this._openPreferences();
-            return Clutter.EVENT_STOP;
+        // Clicks between the boxes act on the monitor under the pointer (the panel's, in any mode)
+        this.connect('button-press-event', (actor, event) => {
+            return this._onBoxButtonPress(global.display.get_current_monitor(), event);
+        });
+        this.connect('touch-event', (actor, event) => {
+            return this._onBoxButtonPress(global.display.get_current_monitor(), event);
         });
 
         // Map: monitorIndex -> { box, label }
         this._monitorWidgets = new Map();
 
+        // Full bar mode (indicator-mode 'workspaces'): [{ box, label, tag }] per workspace
+        this._barMode = false;
+        this._workspaceWidgets = [];
+        this._barSignals = null;
+        this._barUpdateId = 0;
+
         // Sorted monitor indices (left to right by x coordinate)
         this._sortedMonitors = [];
 
@@ -103,6 +93,10 @@ class WorkspaceIndicatorButton extends PanelMenu.Button {
 
         // Motion event tracking
         this._motionEventId = null;
+
+        // Window preview shown while hovering a box
+        this._preview = null;
+        this._previewTimeoutId = 0;
     }
 
     // Build the indicator boxes based on monitor configuration
@@ -110,6 +104,18 @@ class WorkspaceIndicatorButton extends PanelMenu.Button {
         // Clear existing widgets
         this._container.remove_all_children();
         this._monitorWidgets.clear();
+        this._workspaceWidgets = [];
+        this._currentMonitor = -1;
+        this._hidePreview();
+        this._theme.applyVariant(this._container);
+
+        this._barMode = this._settings.get_string('indicator-mode') === 'workspaces';
+        if (this._barMode) {
+            this._stopPointerTracking();
+            this._buildWorkspaceBar();
+            return;
+        }
+        this._stopBarTracking();
 
         const nMonitors = global.display.get_n_monitors();
 
@@ -157,17 +163,22 @@ class WorkspaceIndicatorButton extends PanelMenu.Button {
                 const wsIndex = monitorWorkspaceMap.get(mon.index) ?? 0;
 
                 const box = new St.Bin({
-                    style: this._getBoxStyle(false),
                     x_align: Clutter.ActorAlign.CENTER,
                     y_align: Clutter.ActorAlign.CENTER,
+                    reactive: true,
                 });
+                const monitorIndex = mon.index;
+                box.connect('button-press-event', (actor, event) => this._onBoxButtonPress(monitorIndex, event));
+                box.connect('touch-event', (actor, event) => this._onBoxButtonPress(monitorIndex, event));
+                box.connect('scroll-event', (actor, event) => this._onBoxScroll(monitorIndex, event));
+                this._connectPreview(box, () => this._handler.getWorkspaceMap().get(monitorIndex));
 
                 const label = new St.Label({
-                    text: wsIndexToDisplayKey(wsIndex),
-                    style: this._getLabelStyle(false),
+                    text: this._getDisplayKey(wsIndex),
                     x_align: Clutter.ActorAlign.CENTER,
                     y_align: Clutter.ActorAlign.CENTER,
                 });
+                this._styleBox(box, label, 'normal');
 
                 box.set_child(label);
                 rowContainer.add_child(box);
@@ -183,38 +194,224 @@ class WorkspaceIndicatorButton extends PanelMenu.Button {
         this._updateHighlight();
     }
 
-    _getBoxStyle(highlighted) {
-        const bg = highlighted ? HIGHLIGHT_BG : NORMAL_BG;
-        const border = highlighted ? HIGHLIGHT_BORDER : NORMAL_BORDER;
-        const boxSize = this._isMultiRow ? BOX_SIZE_MULTI : BOX_SIZE_SINGLE;
-        const margin = this._isMultiRow ? MARGIN : MARGIN_SINGLE;
-        return `background-color: ${bg}; ` +
-               `border: ${border}; ` +
-               `border-radius: ${BORDER_RADIUS}; ` +
-               `margin: ${margin}; ` +
-               `min-width: ${boxSize}px; ` +
-               `min-height: ${boxSize}px;`;
+    // Stylesheet classes for a box in a state, plus the theme-* overrides
+    // kind: 'normal', 'current' (highlighted) or 'urgent'
+    _styleBox(box, label, kind, occupied = true) {
+        const classes = ['mmw-indicator-box'];
+        if (this._isMultiRow) classes.push('mmw-multi-row');
+        if (kind !== 'normal') classes.push(`mmw-${kind}`);
+        if (!occupied) classes.push('mmw-empty');
+
+        box.set_style_class_name(classes.join(' '));
+        box.set_style(this._theme.getBoxStyle(kind, this._isMultiRow));
+        label.set_style_class_name('mmw-indicator-label');
+        label.set_style(this._theme.getLabelStyle(kind === 'normal' && occupied, this._isMultiRow));
+    }
+
+    // Full bar: one box per workspace, tagged with the color of the monitor showing it
+    _buildWorkspaceBar() {
+        this._isMultiRow = false;
+        this._container.set_vertical(false);
+
+        const count = this._handler.getWorkspaceStates().length;
+        for (let wsIndex = 0; wsIndex < count; wsIndex++) {
+            const box = new St.BoxLayout({
+                vertical: true,
+                y_align: Clutter.ActorAlign.CENTER,
+                reactive: true,
+            });
+            const label = new St.Label({
+                x_align: Clutter.ActorAlign.CENTER,
+                y_align: Clutter.ActorAlign.CENTER,
+                y_expand: true,
+            });
+            const tag = new St.Widget({ x_expand: true });
+            box.add_child(label);
+            box.add_child(tag);
+
+            const workspace = wsIndex;
+            box.connect('button-press-event', (actor, event) => this._onWorkspaceButtonPress(workspace, event));
+            box.connect('touch-event', (actor, event) => this._onWorkspaceButtonPress(workspace, event));
+            box.connect('scroll-event', (actor, event) => {
+                return this._onBoxScroll(this._handler.getFocusedMonitor(), event);
+            });
+            this._connectPreview(box, () => workspace);
+
+            this._container.add_child(box);
+            this._workspaceWidgets.push({ box, label, tag });
+        }
+
+        this._startBarTracking();
+        this._updateWorkspaceBar();
+    }
+
+    // Full bar: restyle every workspace from its current state
+    // Focused (shown on the focused monitor) wins over urgent; empty workspaces are dimmed
+    _updateWorkspaceBar() {
+        const states = this._handler.getWorkspaceStates();
+        if (states.length !== this._workspaceWidgets.length) {
+            // Workspace count changed
+            this.buildIndicators(this._handler.getWorkspaceMap());
+            return;
+        }
+        const shownOn = this._getShownOn();
+        const focusedWs = this._handler.getWorkspaceMap().get(this._handler.getFocusedMonitor());
+
+        this._workspaceWidgets.forEach(({ box, label, tag }, wsIndex) => {
+            const state = states[wsIndex] ?? { occupied: false, urgent: false };
+            const monitorIndex = shownOn.get(wsIndex);
+
+            let kind = 'normal';
+            if (wsIndex === focusedWs) kind = 'current';
+            else if (state.urgent) kind = 'urgent';
+
+            label.set_text(this._getDisplayKey(wsIndex));
+            this._styleBox(box, label, kind, state.occupied || monitorIndex !== undefined);
+
+            tag.set_style_class_name(monitorIndex === undefined
+                ? 'mmw-indicator-tag'
+                : `mmw-indicator-tag mmw-monitor-${monitorIndex % MONITOR_TAG_CLASSES}`);
+        });
+    }
+
+    // Full bar: follow focus, urgency and closing windows
+    // (switches, placement and moves come in through updateAllWorkspaces)
+    _startBarTracking() {
+        if (this._barSignals) return;
+
+        this._barSignals = [];
+        const signals = [
+            [global.display, 'notify::focus-window'],
+            [global.display, 'window-demands-attention'],
+            [global.display, 'window-marked-urgent'],
+            [global.window_manager, 'destroy'],
+        ];
+        for (const [obj, signal] of signals) {
+            const id = obj.connect(signal, () => this._queueBarUpdate());
+            this._barSignals.push({ obj, id });
+        }
+    }
+
+    _stopBarTracking() {
+        if (this._barSignals) {
+            for (const { obj, id } of this._barSignals) {
+                obj.disconnect(id);
+            }
+            this._barSignals = null;
+        }
+        if (this._barUpdateId) {
+            GLib.source_remove(this._barUpdateId);
+            this._barUpdateId = 0;
+        }
+    }
+
+    // Update once the burst of signals is over (a closing window is gone by then)
+    _queueBarUpdate() {
+        if (this._barUpdateId) return;
+
+        this._barUpdateId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._barUpdateId = 0;
+            this._updateWorkspaceBar();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    // wsIndex -> index of the monitor showing it
+    _getShownOn() {
+        const shownOn = new Map();
+        for (const [monitorIndex, wsIndex] of this._handler.getWorkspaceMap()) {
+            shownOn.set(wsIndex, monitorIndex);
+        }
+        return shownOn;
+    }
+
+    // Open the window preview after hovering a box for a while, close it on leave
+    // getWsIndex: workspace the box stands for when the preview opens
+    _connectPreview(box, getWsIndex) {
+        box.track_hover = true;
+        box.connect('notify::hover', () => {
+            this._hidePreview();
+            if (!box.hover || this.menu.isOpen) return;
+            if (!this._settings.get_boolean('indicator-window-preview')) return;
+
+            this._previewTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, PREVIEW_DELAY_MS, () => {
+                this._previewTimeoutId = 0;
+                const wsIndex = getWsIndex();
+                if (wsIndex !== undefined && !this.menu.isOpen) {
+                    this._showPreview(box, wsIndex);
+                }
+                return GLib.SOURCE_REMOVE;
+            });
+        });
     }
 
-    _getLabelStyle(highlighted) {
-        const fg = highlighted ? HIGHLIGHT_FG : NORMAL_FG;
-        const fontSize = this._isMultiRow ? FONT_SIZE_MULTI : FONT_SIZE_SINGLE;
-        return `color: ${fg}; ` +
-               `font-size: ${fontSize}; ` +
-               `font-weight: ${FONT_WEIGHT}; ` +
-               `text-align: center;`;
+    // Popup under a box listing the windows of its workspace
+    _showPreview(box, wsIndex) {
+        const preview = new St.BoxLayout({
+            style_class: 'mmw-window-preview',
+            style: this._theme.getBannerStyle(),
+            vertical: true,
+        });
+        this._theme.applyVariant(preview);
+
+        const labelStyle = this._theme.getBannerLabelStyle();
+        const name = getWorkspaceName(this._settings.get_strv('workspace-names'), wsIndex);
+        preview.add_child(new St.Label({
+            text: name ? `Workspace ${wsIndex + 1}: ${name}` : `Workspace ${wsIndex + 1}`,
+            style_class: 'mmw-window-preview-title',
+            style: labelStyle,
+        }));
+        preview.add_child(createWindowList(this._handler.getWorkspaceWindows(wsIndex),
+            PREVIEW_ICON_SIZE, labelStyle));
+
+        Main.uiGroup.add_child(preview);
+        this._preview = preview;
+
+        // Centered under the box, kept on the panel's monitor
+        const [boxX, boxY] = box.get_transformed_position();
+        const [boxWidth, boxHeight] = box.get_transformed_size();
+        const [, width] = preview.get_preferred_width(-1);
+        const monitor = Main.layoutManager.findMonitorForActor(box) ?? Main.layoutManager.primaryMonitor;
+
+        let x = Math.floor(boxX + (boxWidth - width) / 2);
+        x = Math.max(monitor.x, Math.min(x, monitor.x + monitor.width - width));
+        preview.set_position(x, Math.floor(boxY + boxHeight + PREVIEW_OFFSET));
+    }
+
+    _hidePreview() {
+        if (this._previewTimeoutId) {
+            GLib.source_remove(this._previewTimeoutId);
+            this._previewTimeoutId = 0;
+        }
+        if (this._preview) {
+            this._preview.destroy();
+            this._preview = null;
+        }
     }
 
     // Update workspace number for a specific monitor
     updateWorkspace(monitorIndex, wsIndex) {
         const widgets = this._monitorWidgets.get(monitorIndex);
         if (widgets) {
-            widgets.label.set_text(wsIndexToDisplayKey(wsIndex));
+            widgets.label.set_text(this._getDisplayKey(wsIndex));
+        }
+    }
+
+    // Workspace name (if enabled and set) or number
+    _getDisplayKey(wsIndex) {
+        if (this._settings.get_boolean('indicator-show-names')) {
+            const name = getWorkspaceName(this._settings.get_strv('workspace-names'), wsIndex);
+            if (name) return name;
         }
+        return wsIndexToDisplayKey(wsIndex, this._settings.get_int('workspace-count'));
     }
 
     // Update all workspaces from map
     updateAllWorkspaces(monitorWorkspaceMap) {
+        if (this._barMode) {
+            this._updateWorkspaceBar();
+            return;
+        }
         for (const [monitorIndex, wsIndex] of monitorWorkspaceMap) {
             this.updateWorkspace(monitorIndex, wsIndex);
         }
@@ -267,8 +464,13 @@ class WorkspaceIndicatorButton extends PanelMenu.Button {
         }
     }
 
-    // Update highlight based on pointer position
+    // Update highlight based on pointer position (full bar: on the focused monitor)
     _updateHighlight() {
+        if (this._barMode) {
+            this._queueBarUpdate();
+            return;
+        }
+
         const [pointerX, pointerY] = global.get_pointer();
         const nMonitors = global.display.get_n_monitors();
         let newCurrentMonitor = -1;
@@ -289,8 +491,7 @@ class WorkspaceIndicatorButton extends PanelMenu.Button {
             if (this._currentMonitor >= 0) {
                 const prevWidgets = this._monitorWidgets.get(this._currentMonitor);
                 if (prevWidgets) {
-                    prevWidgets.box.set_style(this._getBoxStyle(false));
-                    prevWidgets.label.set_style(this._getLabelStyle(false));
+                    this._styleBox(prevWidgets.box, prevWidgets.label, 'normal');
                 }
             }
 
@@ -298,8 +499,7 @@ class WorkspaceIndicatorButton extends PanelMenu.Button {
             if (newCurrentMonitor >= 0) {
                 const newWidgets = this._monitorWidgets.get(newCurrentMonitor);
                 if (newWidgets) {
-                    newWidgets.box.set_style(this._getBoxStyle(true));
-                    newWidgets.label.set_style(this._getLabelStyle(true));
+                    this._styleBox(newWidgets.box, newWidgets.label, 'current');
                 }
             }
 
@@ -307,6 +507,151 @@ class WorkspaceIndicatorButton extends PanelMenu.Button {
         }
     }
 
+    // The menu content depends on the box and button clicked: don't let PanelMenu.Button
+    // toggle it on every press (or tap: handled as a primary click by the boxes)
+    vfunc_event(event) {
+        return Clutter.EVENT_PROPAGATE;
+    }
+
+    // Click on a monitor's box: left (or tap) opens its workspace menu, middle warps to it,
+    // right opens the extension menu
+    _onBoxButtonPress(monitorIndex, event) {
+        const button = getPressButton(event);
+        if (button === 0) return Clutter.EVENT_PROPAGATE;
+
+        this._hidePreview();
+        if (this.menu.isOpen) {
+            this.menu.close();
+            return Clutter.EVENT_STOP;
+        }
+        if (monitorIndex < 0) monitorIndex = global.display.get_primary_monitor();
+
+        switch (button) {
+        case Clutter.BUTTON_PRIMARY:
+            this._buildWorkspaceMenu(monitorIndex);
+            this.menu.open();
+            break;
+        case Clutter.BUTTON_MIDDLE:
+            this._handler.warpToMonitor(monitorIndex);
+            break;
+        case Clutter.BUTTON_SECONDARY:
+            this._buildExtensionMenu();
+            this.menu.open();
+            break;
+        default:
+            return Clutter.EVENT_PROPAGATE;
+        }
+        return Clutter.EVENT_STOP;
+    }
+
+    // Every workspace, marking the one this monitor shows, those shown on other monitors,
+    // empty and urgent ones; picking one shows it on this monitor
+    _buildWorkspaceMenu(monitorIndex) {
+        this.menu.removeAll();
+        this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(`Monitor ${monitorIndex}`));
+
+        const shownOn = this._getShownOn();
+
+        const names = this._settings.get_strv('workspace-names');
+        const count = this._settings.get_int('workspace-count');
+        this._handler.getWorkspaceStates().forEach((state, wsIndex) => {
+            const name = getWorkspaceName(names, wsIndex);
+            const key = wsIndexToDisplayKey(wsIndex, count);
+            const item = new PopupMenu.PopupMenuItem(name ? `${key}: ${name}` : key);
+
+            const wsMonitor = shownOn.get(wsIndex);
+            if (wsMonitor === monitorIndex) {
+                item.setOrnament(PopupMenu.Ornament.DOT);
+            }
+            if (!state.occupied) {
+                item.label.add_style_class_name('popup-inactive-menu-item');
+            }
+
+            const marks = [];
+            if (state.urgent) marks.push('urgent');
+            if (wsMonitor !== undefined && wsMonitor !== monitorIndex) marks.push(`on monitor ${wsMonitor}`);
+            if (marks.length > 0) {
+                item.add_child(new St.Label({
+                    text: marks.join(', '),
+                    style_class: 'popup-inactive-menu-item',
+                    x_expand: true,
+                    x_align: Clutter.ActorAlign.END,
+                    y_align: Clutter.ActorAlign.CENTER,
+                }));
+            }
+
+            item.connect('activate', () => this._handler.switchWorkspace(wsIndex, monitorIndex));
+            this.menu.addMenuItem(item);
+        });
+    }
+
+    // Click on a workspace in the full bar: left (or tap) shows it on the focused monitor,
+    // middle warps to the monitor showing it, right opens the extension menu
+    _onWorkspaceButtonPress(wsIndex, event) {
+        const button = getPressButton(event);
+        if (button === 0) return Clutter.EVENT_PROPAGATE;
+
+        this._hidePreview();
+        if (this.menu.isOpen) {
+            this.menu.close();
+            return Clutter.EVENT_STOP;
+        }
+
+        switch (button) {
+        case Clutter.BUTTON_PRIMARY:
+            this._handler.switchWorkspace(wsIndex, this._handler.getFocusedMonitor());
+            break;
+        case Clutter.BUTTON_MIDDLE: {
+            const monitorIndex = this._getShownOn().get(wsIndex);
+            if (monitorIndex !== undefined) this._handler.warpToMonitor(monitorIndex);
+            break;
+        }
+        case Clutter.BUTTON_SECONDARY:
+            this._buildExtensionMenu();
+            this.menu.open();
+            break;
+        default:
+            return Clutter.EVENT_PROPAGATE;
+        }
+        return Clutter.EVENT_STOP;
+    }
+
+    _buildExtensionMenu() {
+        this.menu.removeAll();
+        this.menu.addAction('Preferences', () => this._openPreferences());
+    }
+
+    // Scroll over a monitor's box: cycle that monitor's workspace
+    _onBoxScroll(monitorIndex, event) {
+        let forward;
+        switch (event.get_scroll_direction()) {
+        case Clutter.ScrollDirection.DOWN:
+        case Clutter.ScrollDirection.RIGHT:
+            forward = true;
+            break;
+        case Clutter.ScrollDirection.UP:
+        case Clutter.ScrollDirection.LEFT:
+            forward = false;
+            break;
+        case Clutter.ScrollDirection.SMOOTH: {
+            const [dx, dy] = event.get_scroll_delta();
+            const delta = Math.abs(dy) >= Math.abs(dx) ? dy : dx;
+            if (delta === 0) return Clutter.EVENT_STOP;
+            forward = delta > 0;
+            break;
+        }
+        default:
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        const now = event.get_time();
+        if (now - this._lastScrollTime < SCROLL_INTERVAL_MS) return Clutter.EVENT_STOP;
+        this._lastScrollTime = now;
+
+        this._handler.cycleWorkspace(monitorIndex, forward);
+        return Clutter.EVENT_STOP;
+    }
+
     // Open extension preferences
     _openPreferences() {
         try {
@@ -318,19 +663,31 @@ class WorkspaceIndicatorButton extends PanelMenu.Button {
 
     destroy() {
         this._stopPointerTracking();
+        this._stopBarTracking();
+        this._hidePreview();
+        this._theme.destroy();
         super.destroy();
     }
 });
 
 // Manager class
 export class WorkspaceIndicatorManager {
-    constructor() {
+    /**
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {object} handler - Operations provided by the extension:
+     *   switchWorkspace(ws, monitor), cycleWorkspace(monitor, forward), warpToMonitor(monitor),
+     *   getWorkspaceMap(), getWorkspaceStates() ([{ occupied, urgent }] per workspace),
+     *   getWorkspaceWindows(ws) ([Meta.Window], topmost first), getFocusedMonitor()
+     */
+    constructor(settings, handler) {
+        this._settings = settings;
+        this._handler = handler;
         this._button = null;
     }
 
     // Create and add indicator to panel
     create(monitorWorkspaceMap) {
-        this._button = new WorkspaceIndicatorButton();
+        this._button = new WorkspaceIndicatorButton(this._settings, this._handler);
         this._button.buildIndicators(monitorWorkspaceMap);
 
         // Add to panel (left side, position 1 = after Activities)
@@ -0,0 +1,22 @@
+// Workspace Labels for Multi Monitors Workspace Extension
+// Workspace count limits and display labels, shared by the shell side and prefs
+
+// Upper bound of the workspace-count setting (one schema key pair per workspace)
+export const MAX_WORKSPACES = 32;
+
+// Workspaces reachable by Mod+1~9,0
+export const DIGIT_WORKSPACES = 10;
+
+// Convert internal wsIndex to display key
+// Up to 10 workspaces: 1-9, 0 (matches Mod+1~9,0 keybindings); beyond that: 1-based numbers
+export function wsIndexToDisplayKey(wsIndex, workspaceCount = DIGIT_WORKSPACES) {
+    if (workspaceCount > DIGIT_WORKSPACES) {
+        return String(wsIndex + 1);
+    }
+    return ((wsIndex + 1) % 10).toString();
+}
+
+// Name configured for a workspace in the workspace-names setting ('' if none)
+export function getWorkspaceName(names, wsIndex) {
+    return (names[wsIndex] ?? '').trim();
+}
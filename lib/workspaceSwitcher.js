@@ -0,0 +1,282 @@
+// Workspace Switcher for Multi Monitors Workspace Extension
+// Keyboard-driven popup with a live thumbnail of each workspace, to pick what a monitor shows
+
+import St from 'gi://St';
+import Clutter from 'gi://Clutter';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import { wsIndexToDisplayKey, getWorkspaceName } from './workspaceLabels.js';
+import { Theme } from './theme.js';
+
+// Thumbnail width: a share of the monitor width, within bounds
+const THUMBNAIL_WIDTH_RATIO = 0.14;
+const THUMBNAIL_MIN_WIDTH = 120;
+const THUMBNAIL_MAX_WIDTH = 260;
+
+// Share of the monitor width the switcher may take before wrapping into rows
+const MAX_WIDTH_RATIO = 0.9;
+
+// Room an item takes besides its thumbnail (stylesheet padding, border and spacing)
+const ITEM_CHROME = 28;
+
+// Number keys (main row and keypad) -> digit
+const DIGIT_KEYS = new Map();
+for (let digit = 0; digit <= 9; digit++) {
+    DIGIT_KEYS.set(Clutter[`KEY_${digit}`], digit);
+    DIGIT_KEYS.set(Clutter[`KEY_KP_${digit}`], digit);
+}
+
+export class WorkspaceSwitcher {
+    /**
+     * @param {Gio.Settings} settings - Extension settings (workspace-names, theme-*)
+     * @param {object} handler - Operations provided by the extension:
+     *   getWorkspaceMap() -> Map(monitorIndex -> wsIndex), getWorkspaceCount(),
+     *   getThumbnailLayout(ws, monitor) -> { width, height, windows: [{ actor, x, y }] }
+     *     (window actors bottom first, positioned on a monitor-sized area),
+     *   switchWorkspace(ws, monitor)
+     */
+    constructor(settings, handler) {
+        this._settings = settings;
+        this._handler = handler;
+        this._theme = new Theme(settings);
+
+        // Full-monitor actor holding the switcher while it is open (clicks on it cancel)
+        this._backdrop = null;
+        this._grab = null;
+        this._monitorIndex = -1;
+
+        // One item per workspace, in workspace order
+        this._items = [];
+        this._selected = 0;
+        this._columns = 1;
+    }
+
+    isOpen() {
+        return this._backdrop !== null;
+    }
+
+    /**
+     * Open the switcher on a monitor, with its workspace selected
+     * @returns {boolean} False if the keyboard could not be grabbed
+     */
+    open(monitorIndex) {
+        if (this.isOpen()) return true;
+
+        const geo = global.display.get_monitor_geometry(monitorIndex);
+        const count = this._handler.getWorkspaceCount();
+        const workspaceMap = this._handler.getWorkspaceMap();
+        this._monitorIndex = monitorIndex;
+
+        // wsIndex -> index of the monitor showing it
+        const shownOn = new Map();
+        for (const [m, ws] of workspaceMap) {
+            shownOn.set(ws, m);
+        }
+
+        this._backdrop = new St.Widget({
+            reactive: true,
+            x: geo.x,
+            y: geo.y,
+            width: geo.width,
+            height: geo.height,
+        });
+        this._backdrop.connect('button-press-event', () => {
+            this.close();
+            return Clutter.EVENT_STOP;
+        });
+        this._backdrop.connect('key-press-event', (actor, event) => this._onKeyPress(event));
+
+        const switcher = new St.BoxLayout({
+            style_class: 'mmw-switcher',
+            style: this._theme.getBannerStyle(),
+            vertical: true,
+            reactive: true,
+        });
+        this._theme.applyVariant(switcher);
+        // Clicks between the items do not cancel
+        switcher.connect('button-press-event', () => Clutter.EVENT_STOP);
+
+        // Thumbnails share this monitor's aspect ratio, wrapping into rows on narrow monitors
+        const thumbWidth = Math.round(Math.min(THUMBNAIL_MAX_WIDTH,
+            Math.max(THUMBNAIL_MIN_WIDTH, geo.width * THUMBNAIL_WIDTH_RATIO)));
+        const thumbHeight = Math.round(thumbWidth * geo.height / geo.width);
+        this._columns = Math.max(1,
+            Math.min(count, Math.floor(geo.width * MAX_WIDTH_RATIO / (thumbWidth + ITEM_CHROME))));
+
+        let row = null;
+        for (let wsIndex = 0; wsIndex < count; wsIndex++) {
+            if (wsIndex % this._columns === 0) {
+                row = new St.BoxLayout({ style_class: 'mmw-switcher-row' });
+                switcher.add_child(row);
+            }
+            const item = this._createItem(wsIndex, count, thumbWidth, thumbHeight, shownOn);
+            row.add_child(item);
+            this._items.push(item);
+        }
+
+        this._backdrop.add_child(switcher);
+        Main.uiGroup.add_child(this._backdrop);
+
+        // Center on the monitor once styled
+        const [, width] = switcher.get_preferred_width(-1);
+        const [, height] = switcher.get_preferred_height(width);
+        switcher.set_position(Math.floor((geo.width - width) / 2), Math.floor((geo.height - height) / 2));
+
+        this._select(Math.min(workspaceMap.get(monitorIndex) ?? 0, count - 1));
+
+        this._grab = Main.pushModal(this._backdrop, { actionMode: Shell.ActionMode.POPUP });
+        if ((this._grab.get_seat_state() & Clutter.GrabState.KEYBOARD) === 0) {
+            // Another popup holds the keyboard
+            this.close();
+            return false;
+        }
+        return true;
+    }
+
+    // Thumbnail of a workspace with its key, name and a swap marker if another monitor shows it
+    _createItem(wsIndex, count, thumbWidth, thumbHeight, shownOn) {
+        const item = new St.BoxLayout({
+            style_class: 'mmw-switcher-item',
+            vertical: true,
+            reactive: true,
+            track_hover: true,
+        });
+        item.connect('button-press-event', () => {
+            this._activate(wsIndex);
+            return Clutter.EVENT_STOP;
+        });
+
+        const thumbnail = new St.Widget({
+            style_class: 'mmw-switcher-thumbnail',
+            width: thumbWidth,
+            height: thumbHeight,
+            clip_to_allocation: true,
+        });
+        const layout = this._handler.getThumbnailLayout(wsIndex, this._monitorIndex);
+        const scale = Math.min(thumbWidth / layout.width, thumbHeight / layout.height);
+        for (const { actor, x, y } of layout.windows) {
+            // Clones paint live, even for windows of hidden workspaces
+            thumbnail.add_child(new Clutter.Clone({
+                source: actor,
+                x: Math.round(x * scale),
+                y: Math.round(y * scale),
+                width: Math.round(actor.width * scale),
+                height: Math.round(actor.height * scale),
+            }));
+        }
+        item.add_child(thumbnail);
+
+        const labelBox = new St.BoxLayout({ style_class: 'mmw-switcher-label-box' });
+        const key = wsIndexToDisplayKey(wsIndex, count);
+        const name = getWorkspaceName(this._settings.get_strv('workspace-names'), wsIndex);
+        labelBox.add_child(new St.Label({
+            text: name ? `${key}: ${name}` : key,
+            style_class: 'mmw-switcher-label',
+            style: this._theme.getBannerLabelStyle(),
+            x_expand: true,
+        }));
+
+        const monitorIndex = shownOn.get(wsIndex);
+        if (monitorIndex === this._monitorIndex) {
+            item.add_style_class_name('mmw-current');
+        } else if (monitorIndex !== undefined) {
+            // Picking it swaps the two monitors' workspaces
+            item.add_style_class_name('mmw-switcher-swap');
+            labelBox.add_child(new St.Label({
+                text: `\u21C4 Monitor ${monitorIndex + 1}`,  // ⇄
+                style_class: 'mmw-switcher-marker',
+            }));
+        }
+        item.add_child(labelBox);
+
+        return item;
+    }
+
+    _select(index) {
+        this._items[this._selected]?.remove_style_pseudo_class('selected');
+        this._selected = index;
+        this._items[this._selected]?.add_style_pseudo_class('selected');
+    }
+
+    // Left/right wrap around, up/down stop at the first and last row
+    _moveSelection(delta, wrap) {
+        const n = this._items.length;
+        const target = this._selected + delta;
+        if (wrap) {
+            this._select(((target % n) + n) % n);
+        } else if (target >= 0 && target < n) {
+            this._select(target);
+        }
+    }
+
+    _activate(wsIndex) {
+        const monitorIndex = this._monitorIndex;
+        // Release the keyboard before windows move and get focus
+        this.close();
+        this._handler.switchWorkspace(wsIndex, monitorIndex);
+    }
+
+    _onKeyPress(event) {
+        const symbol = event.get_key_symbol();
+
+        // 1-9, 0 pick workspaces 1-10 directly (as Mod+1~9,0 do)
+        const digit = DIGIT_KEYS.get(symbol);
+        if (digit !== undefined) {
+            const wsIndex = (digit + 9) % 10;
+            if (wsIndex < this._items.length) this._activate(wsIndex);
+            return Clutter.EVENT_STOP;
+        }
+
+        switch (symbol) {
+        case Clutter.KEY_Escape:
+            this.close();
+            break;
+        case Clutter.KEY_Return:
+        case Clutter.KEY_KP_Enter:
+        case Clutter.KEY_ISO_Enter:
+        case Clutter.KEY_space:
+            this._activate(this._selected);
+            break;
+        case Clutter.KEY_Left:
+        case Clutter.KEY_ISO_Left_Tab:
+            this._moveSelection(-1, true);
+            break;
+        case Clutter.KEY_Right:
+        case Clutter.KEY_Tab:
+            this._moveSelection(1, true);
+            break;
+        case Clutter.KEY_Up:
+            this._moveSelection(-this._columns, false);
+            break;
+        case Clutter.KEY_Down:
+            this._moveSelection(this._columns, false);
+            break;
+        default:
+            break;
+        }
+        return Clutter.EVENT_STOP;
+    }
+
+    close() {
+        if (this._grab) {
+            Main.popModal(this._grab);
+            this._grab = null;
+        }
+        if (this._backdrop) {
+            this._backdrop.destroy();
+            this._backdrop = null;
+        }
+        this._items = [];
+        this._selected = 0;
+        this._monitorIndex = -1;
+    }
+
+    destroy() {
+        this.close();
+        this._theme.destroy();
+        this._theme = null;
+        this._handler = null;
+        this._settings = null;
+    }
+}
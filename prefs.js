@@ -9,6 +9,10 @@ import GObject from 'gi://GObject';
 
 import { ExtensionPreferences } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import { MAX_WORKSPACES, DIGIT_WORKSPACES, wsIndexToDisplayKey, getWorkspaceName } from './lib/workspaceLabels.js';
+import { DEFAULT_RULE, parseRules, describeRuleMatch } from './lib/appRules.js';
+import { LAYOUTS } from './lib/tiling.js';
+
 // System keybinding schemas to check for conflicts
 const SYSTEM_KEYBINDING_SCHEMAS = [
     'org.gnome.desktop.wm.keybindings',
@@ -170,9 +174,20 @@ class ShortcutRow extends Adw.ActionRow {
 
         // Check other shortcuts in this extension (exclude current key)
         const extensionKeys = [
+            'mmw-switch-next', 'mmw-switch-prev', 'mmw-switch-previous', 'mmw-workspace-switcher',
             'mmw-cycle-focus-forward', 'mmw-cycle-focus-backward',
             'mmw-swap-window-forward', 'mmw-swap-window-backward',
+            'mmw-scratchpad-move', 'mmw-scratchpad-toggle', 'mmw-wallpaper-next',
+            'mmw-cycle-layout', 'mmw-toggle-floating',
+            'mmw-master-ratio-increase', 'mmw-master-ratio-decrease',
+            'mmw-master-count-increase', 'mmw-master-count-decrease',
+            'mmw-frame-split-horizontal', 'mmw-frame-split-vertical', 'mmw-frame-remove',
         ];
+        // Add directional and frame focus/resize keys
+        for (const direction of ['left', 'right', 'up', 'down']) {
+            extensionKeys.push(`mmw-focus-${direction}`, `mmw-move-window-${direction}`);
+            extensionKeys.push(`mmw-frame-focus-${direction}`, `mmw-frame-resize-${direction}`);
+        }
         // Add warp-to-monitor keys
         for (let i = 0; i < 8; i++) {
             extensionKeys.push(`mmw-warp-to-monitor-${i}`);
@@ -314,20 +329,33 @@ class WallpaperGroupRow extends Adw.ActionRow {
                 this._workspaces = groups[this._groupIndex].workspaces || [];
                 this._scale = groups[this._groupIndex].scale !== false; // default true
                 this._tile = groups[this._groupIndex].tile === true; // default false
+                this._connector = groups[this._groupIndex].connector || ''; // default any monitor
+                this._orientation = groups[this._groupIndex].orientation || 'any';
+                this._portraitPath = groups[this._groupIndex].portraitPath || '';
+                this._span = groups[this._groupIndex].span === true; // default false
+                this._interval = groups[this._groupIndex].interval ?? 10; // slideshow minutes
+                this._shuffle = groups[this._groupIndex].shuffle === true; // default false
             } else {
-                this._path = '';
-                this._workspaces = [];
-                this._scale = true;
-                this._tile = false;
+                this._setDefaultGroupData();
             }
         } catch (e) {
-            this._path = '';
-            this._workspaces = [];
-            this._scale = true;
-            this._tile = false;
+            this._setDefaultGroupData();
         }
     }
 
+    _setDefaultGroupData() {
+        this._path = '';
+        this._workspaces = [];
+        this._scale = true;
+        this._tile = false;
+        this._connector = '';
+        this._orientation = 'any';
+        this._portraitPath = '';
+        this._span = false;
+        this._interval = 10;
+        this._shuffle = false;
+    }
+
     _saveGroupData() {
         try {
             const groupsJson = this._settings.get_string('wallpaper-groups');
@@ -343,6 +371,12 @@ class WallpaperGroupRow extends Adw.ActionRow {
                 workspaces: this._workspaces,
                 scale: this._scale,
                 tile: this._tile,
+                connector: this._connector,
+                orientation: this._orientation,
+                portraitPath: this._portraitPath,
+                span: this._span,
+                interval: this._interval,
+                shuffle: this._shuffle,
             };
 
             this._settings.set_string('wallpaper-groups', JSON.stringify(groups));
@@ -353,19 +387,27 @@ class WallpaperGroupRow extends Adw.ActionRow {
     }
 
     _updateSubtitle() {
-        const wsDisplay = this._workspaces.map(ws => ws === 9 ? 0 : ws + 1).join(', ');
-        const filename = this._path ? this._path.split('/').pop() : 'No image';
-        this.set_subtitle(`WS: ${wsDisplay || 'None'} | ${filename}`);
+        const count = this._settings.get_int('workspace-count');
+        const wsDisplay = this._workspaces.map(ws => wsIndexToDisplayKey(ws, count)).join(', ');
+        const filename = this._path ? this._describePath(this._path) : 'No image';
+        const constraints = [this._connector, this._orientation !== 'any' ? this._orientation : '',
+            this._span ? 'span' : ''].filter(c => c);
+        const monitors = constraints.length > 0 ? ` | ${constraints.join(', ')}` : '';
+        this.set_subtitle(`WS: ${wsDisplay || 'None'} | ${filename}${monitors}`);
     }
 
     _openSettingsDialog() {
         const parentWindow = this.get_root();
 
         // Use Adw.Dialog for GNOME 46+ (works regardless of attach-modal-dialogs setting)
+        // Extra toggle rows for more than 10 workspaces
+        const count = this._settings.get_int('workspace-count');
+        const extraWsRows = Math.ceil(count / DIGIT_WORKSPACES) - 1;
+
         const dialog = new Adw.Dialog({
             title: `Wallpaper Group ${this._groupIndex + 1}`,
             content_width: 400,
-            content_height: 380,
+            content_height: 700 + extraWsRows * 40,
         });
 
         const mainBox = new Gtk.Box({
@@ -394,17 +436,25 @@ class WallpaperGroupRow extends Adw.ActionRow {
         });
         wsSection.append(wsTitle);
 
-        const wsBox = new Gtk.Box({
-            orientation: Gtk.Orientation.HORIZONTAL,
+        // One row of toggles per 10 workspaces
+        const wsRows = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
             spacing: 4,
-            homogeneous: true,
         });
+        let wsBox = null;
 
         const wsButtons = [];
-        for (let i = 0; i < 10; i++) {
-            const wsNum = i === 9 ? 0 : i + 1;
+        for (let i = 0; i < count; i++) {
+            if (i % DIGIT_WORKSPACES === 0) {
+                wsBox = new Gtk.Box({
+                    orientation: Gtk.Orientation.HORIZONTAL,
+                    spacing: 4,
+                    homogeneous: true,
+                });
+                wsRows.append(wsBox);
+            }
             const btn = new Gtk.ToggleButton({
-                label: String(wsNum),
+                label: wsIndexToDisplayKey(i, count),
             });
             btn.set_active(this._workspaces.includes(i));
             btn.connect('toggled', () => {
@@ -422,7 +472,7 @@ class WallpaperGroupRow extends Adw.ActionRow {
             wsButtons.push(btn);
             wsBox.append(btn);
         }
-        wsSection.append(wsBox);
+        wsSection.append(wsRows);
         wsFrame.set_child(wsSection);
         mainBox.append(wsFrame);
 
@@ -449,7 +499,7 @@ class WallpaperGroupRow extends Adw.ActionRow {
         });
 
         const imageLabel = new Gtk.Label({
-            label: this._path ? this._path.split('/').pop() : 'No image selected',
+            label: this._path ? this._describePath(this._path) : 'No image selected',
             ellipsize: 3, // PANGO_ELLIPSIZE_END
             hexpand: true,
             xalign: 0,
@@ -460,7 +510,21 @@ class WallpaperGroupRow extends Adw.ActionRow {
             tooltip_text: 'Select image',
         });
         chooseBtn.connect('clicked', () => {
-            this._chooseFile(parentWindow, imageLabel);
+            this._chooseFile(parentWindow, this._path, path => {
+                this._path = path;
+                imageLabel.set_label(this._describePath(path));
+            });
+        });
+
+        const chooseFolderBtn = new Gtk.Button({
+            icon_name: 'folder-open-symbolic',
+            tooltip_text: 'Select folder (slideshow)',
+        });
+        chooseFolderBtn.connect('clicked', () => {
+            this._chooseFolder(parentWindow, this._path, path => {
+                this._path = path;
+                imageLabel.set_label(this._describePath(path));
+            });
         });
 
         const clearBtn = new Gtk.Button({
@@ -476,11 +540,146 @@ class WallpaperGroupRow extends Adw.ActionRow {
 
         imageBox.append(imageLabel);
         imageBox.append(chooseBtn);
+        imageBox.append(chooseFolderBtn);
         imageBox.append(clearBtn);
         imageSection.append(imageBox);
+
+        // Separate image for portrait monitors (falls back to the image above)
+        const portraitBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 8,
+        });
+
+        const portraitLabel = new Gtk.Label({
+            label: this._portraitPath
+                ? `Portrait: ${this._describePath(this._portraitPath)}`
+                : 'Portrait: same image',
+            ellipsize: 3, // PANGO_ELLIPSIZE_END
+            hexpand: true,
+            xalign: 0,
+        });
+
+        const choosePortraitBtn = new Gtk.Button({
+            icon_name: 'document-open-symbolic',
+            tooltip_text: 'Select image for portrait monitors',
+        });
+        choosePortraitBtn.connect('clicked', () => {
+            this._chooseFile(parentWindow, this._portraitPath || this._path, path => {
+                this._portraitPath = path;
+                portraitLabel.set_label(`Portrait: ${this._describePath(path)}`);
+            });
+        });
+
+        const choosePortraitFolderBtn = new Gtk.Button({
+            icon_name: 'folder-open-symbolic',
+            tooltip_text: 'Select folder for portrait monitors (slideshow)',
+        });
+        choosePortraitFolderBtn.connect('clicked', () => {
+            this._chooseFolder(parentWindow, this._portraitPath || this._path, path => {
+                this._portraitPath = path;
+                portraitLabel.set_label(`Portrait: ${this._describePath(path)}`);
+            });
+        });
+
+        const clearPortraitBtn = new Gtk.Button({
+            icon_name: 'edit-clear-symbolic',
+            tooltip_text: 'Use the same image on portrait monitors',
+        });
+        clearPortraitBtn.connect('clicked', () => {
+            this._portraitPath = '';
+            portraitLabel.set_label('Portrait: same image');
+            this._saveGroupData();
+        });
+
+        portraitBox.append(portraitLabel);
+        portraitBox.append(choosePortraitBtn);
+        portraitBox.append(choosePortraitFolderBtn);
+        portraitBox.append(clearPortraitBtn);
+        imageSection.append(portraitBox);
+
         imageFrame.set_child(imageSection);
         mainBox.append(imageFrame);
 
+        // --- Monitor constraints section ---
+        const monitorFrame = new Gtk.Frame();
+        const monitorSection = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 8,
+            margin_top: 8,
+            margin_bottom: 8,
+            margin_start: 10,
+            margin_end: 10,
+        });
+        const monitorTitle = new Gtk.Label({
+            label: 'Monitors',
+            xalign: 0,
+            css_classes: ['title-4'],
+        });
+        monitorSection.append(monitorTitle);
+
+        // Connector entry (empty: any monitor)
+        const connectorBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 8,
+        });
+        const connectorLabel = new Gtk.Label({
+            label: 'Connector',
+            hexpand: true,
+            xalign: 0,
+        });
+        const connectorEntry = new Gtk.Entry({
+            text: this._connector,
+            placeholder_text: 'Any (e.g. DP-1)',
+            valign: Gtk.Align.CENTER,
+        });
+        connectorEntry.connect('changed', () => {
+            this._connector = connectorEntry.get_text().trim();
+            this._saveGroupData();
+            this._updateSubtitle();
+        });
+        connectorBox.append(connectorLabel);
+        connectorBox.append(connectorEntry);
+        monitorSection.append(connectorBox);
+
+        // Orientation selector
+        const orientations = [
+            ['any', 'Any'],
+            ['landscape', 'Landscape'],
+            ['portrait', 'Portrait'],
+        ];
+        const orientationBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 8,
+        });
+        const orientationLabel = new Gtk.Label({
+            label: 'Orientation',
+            hexpand: true,
+            xalign: 0,
+        });
+        const orientationDropDown = Gtk.DropDown.new_from_strings(orientations.map(([, label]) => label));
+        orientationDropDown.set_valign(Gtk.Align.CENTER);
+        const currentOrientation = orientations.findIndex(([id]) => id === this._orientation);
+        orientationDropDown.set_selected(currentOrientation >= 0 ? currentOrientation : 0);
+        orientationDropDown.connect('notify::selected', () => {
+            this._orientation = orientations[orientationDropDown.get_selected()][0];
+            this._saveGroupData();
+            this._updateSubtitle();
+        });
+        orientationBox.append(orientationLabel);
+        orientationBox.append(orientationDropDown);
+        monitorSection.append(orientationBox);
+
+        const monitorHint = new Gtk.Label({
+            label: 'On a monitor, the group with the most specific match is used',
+            xalign: 0,
+            wrap: true,
+            css_classes: ['dim-label', 'caption'],
+        });
+        monitorSection.append(monitorHint);
+
+        monitorFrame.set_child(monitorSection);
+        mainBox.append(monitorFrame);
+
         // --- Display options section ---
         const optionsFrame = new Gtk.Frame();
         const optionsSection = new Gtk.Box({
@@ -542,6 +741,72 @@ class WallpaperGroupRow extends Adw.ActionRow {
         tileBox.append(tileSwitch);
         optionsSection.append(tileBox);
 
+        // Span switch
+        const spanBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 8,
+        });
+        const spanLabel = new Gtk.Label({
+            label: 'Span Across Monitors',
+            hexpand: true,
+            xalign: 0,
+        });
+        const spanSwitch = new Gtk.Switch({
+            active: this._span,
+            valign: Gtk.Align.CENTER,
+        });
+        spanSwitch.connect('notify::active', () => {
+            this._span = spanSwitch.get_active();
+            this._saveGroupData();
+            this._updateSubtitle();
+        });
+        spanBox.append(spanLabel);
+        spanBox.append(spanSwitch);
+        optionsSection.append(spanBox);
+
+        // Slideshow interval (folders only)
+        const intervalBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 8,
+        });
+        const intervalLabel = new Gtk.Label({
+            label: 'Slideshow Interval (minutes)',
+            hexpand: true,
+            xalign: 0,
+        });
+        const intervalSpin = Gtk.SpinButton.new_with_range(1, 1440, 1);
+        intervalSpin.set_value(this._interval);
+        intervalSpin.set_valign(Gtk.Align.CENTER);
+        intervalSpin.connect('value-changed', () => {
+            this._interval = intervalSpin.get_value_as_int();
+            this._saveGroupData();
+        });
+        intervalBox.append(intervalLabel);
+        intervalBox.append(intervalSpin);
+        optionsSection.append(intervalBox);
+
+        // Shuffle switch (folders only)
+        const shuffleBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 8,
+        });
+        const shuffleLabel = new Gtk.Label({
+            label: 'Shuffle Slideshow',
+            hexpand: true,
+            xalign: 0,
+        });
+        const shuffleSwitch = new Gtk.Switch({
+            active: this._shuffle,
+            valign: Gtk.Align.CENTER,
+        });
+        shuffleSwitch.connect('notify::active', () => {
+            this._shuffle = shuffleSwitch.get_active();
+            this._saveGroupData();
+        });
+        shuffleBox.append(shuffleLabel);
+        shuffleBox.append(shuffleSwitch);
+        optionsSection.append(shuffleBox);
+
         optionsFrame.set_child(optionsSection);
         mainBox.append(optionsFrame);
 
@@ -563,7 +828,46 @@ class WallpaperGroupRow extends Adw.ActionRow {
         dialog.present(parentWindow);
     }
 
-    _chooseFile(parentWindow, imageLabel) {
+    // File name of an image, or folder name marked as a slideshow
+    _describePath(path) {
+        const name = path.split('/').pop();
+        const file = Gio.File.new_for_path(path);
+        if (file.query_file_type(Gio.FileQueryInfoFlags.NONE, null) === Gio.FileType.DIRECTORY) {
+            return `${name} (slideshow)`;
+        }
+        return name;
+    }
+
+    // Pick a slideshow folder, starting next to currentPath; onChosen(path) runs before saving
+    _chooseFolder(parentWindow, currentPath, onChosen) {
+        const fileDialog = new Gtk.FileDialog({
+            title: 'Select Slideshow Folder',
+            modal: true,
+        });
+
+        if (currentPath) {
+            const parent = Gio.File.new_for_path(currentPath).get_parent();
+            if (parent) {
+                fileDialog.set_initial_folder(parent);
+            }
+        }
+
+        fileDialog.select_folder(parentWindow, null, (dlg, result) => {
+            try {
+                const folder = dlg.select_folder_finish(result);
+                if (folder) {
+                    onChosen(folder.get_path());
+                    this._saveGroupData();
+                    this._updateSubtitle();
+                }
+            } catch (e) {
+                // User cancelled or error
+            }
+        });
+    }
+
+    // Pick an image file, starting in the folder of currentPath; onChosen(path) runs before saving
+    _chooseFile(parentWindow, currentPath, onChosen) {
         const fileDialog = new Gtk.FileDialog({
             title: 'Select Wallpaper Image',
             modal: true,
@@ -583,9 +887,9 @@ class WallpaperGroupRow extends Adw.ActionRow {
         fileDialog.set_default_filter(filter);
 
         // Set initial folder if path exists
-        if (this._path) {
+        if (currentPath) {
             try {
-                const file = Gio.File.new_for_path(this._path);
+                const file = Gio.File.new_for_path(currentPath);
                 const parent = file.get_parent();
                 if (parent) {
                     fileDialog.set_initial_folder(parent);
@@ -599,8 +903,7 @@ class WallpaperGroupRow extends Adw.ActionRow {
             try {
                 const file = dlg.open_finish(result);
                 if (file) {
-                    this._path = file.get_path();
-                    imageLabel.set_label(this._path.split('/').pop());
+                    onChosen(file.get_path());
                     this._saveGroupData();
                     this._updateSubtitle();
                 }
@@ -611,6 +914,265 @@ class WallpaperGroupRow extends Adw.ActionRow {
     }
 });
 
+// Helper class for application rule configuration (simple row with settings dialog)
+const AppRuleRow = GObject.registerClass(
+class AppRuleRow extends Adw.ActionRow {
+    _init(settings, ruleIndex, onDelete, onMove) {
+        super._init({
+            title: `Rule ${ruleIndex + 1}`,
+        });
+
+        this._settings = settings;
+        this._ruleIndex = ruleIndex;
+        this._onDelete = onDelete;
+        this._onMove = onMove;
+
+        // Load current rule data
+        this._rule = parseRules(this._settings.get_string('app-rules'))[ruleIndex] ?? { ...DEFAULT_RULE };
+
+        // Button box
+        const buttonBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 6,
+            valign: Gtk.Align.CENTER,
+        });
+
+        // Move up (earlier rules win)
+        const upBtn = new Gtk.Button({
+            icon_name: 'go-up-symbolic',
+            tooltip_text: 'Move up',
+        });
+        upBtn.connect('clicked', () => this._onMove(this._ruleIndex, -1));
+        buttonBox.append(upBtn);
+
+        // Settings button (opens dialog)
+        const settingsBtn = new Gtk.Button({
+            icon_name: 'emblem-system-symbolic',
+            tooltip_text: 'Configure',
+        });
+        settingsBtn.connect('clicked', () => this._openSettingsDialog());
+        buttonBox.append(settingsBtn);
+
+        // Delete button
+        const deleteBtn = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            css_classes: ['destructive-action'],
+            tooltip_text: 'Delete',
+        });
+        deleteBtn.connect('clicked', () => {
+            this._onDelete(this._ruleIndex);
+        });
+        buttonBox.append(deleteBtn);
+
+        this.add_suffix(buttonBox);
+
+        this._updateLabels();
+    }
+
+    _saveRuleData() {
+        try {
+            const rules = parseRules(this._settings.get_string('app-rules'));
+            rules[this._ruleIndex] = this._rule;
+            this._settings.set_string('app-rules', JSON.stringify(rules));
+        } catch (e) {
+            log(`[NamakeWM] Failed to save application rule: ${e.message}`);
+        }
+    }
+
+    _updateLabels() {
+        const count = this._settings.get_int('workspace-count');
+        this.set_title(this._rule.name || `Rule ${this._ruleIndex + 1}`);
+
+        const actions = [];
+        if (this._rule.workspace >= 0) actions.push(`WS ${wsIndexToDisplayKey(this._rule.workspace, count)}`);
+        if (this._rule.monitor >= 0) actions.push(`Monitor ${this._rule.monitor}`);
+        if (this._rule.floating) actions.push('floating');
+        if (this._rule.follow) actions.push('follow');
+        if (this._rule.noFocus) actions.push('no focus');
+        if (this._rule.scratchpad) actions.push(`scratchpad "${this._rule.scratchpad}"`);
+        const match = describeRuleMatch(this._rule) || 'No match set';
+        this.set_subtitle(`${match} → ${actions.join(', ') || 'No action'}`);
+    }
+
+    _openSettingsDialog() {
+        const parentWindow = this.get_root();
+        const count = this._settings.get_int('workspace-count');
+
+        const dialog = new Adw.Dialog({
+            title: this._rule.name || `Rule ${this._ruleIndex + 1}`,
+            content_width: 480,
+            content_height: 640,
+        });
+
+        const mainBox = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 8,
+            margin_bottom: 16,
+            margin_end: 16,
+        });
+
+        const page = new Adw.PreferencesPage({ vexpand: true });
+        mainBox.append(page);
+
+        // Save on every change, like the wallpaper group dialog
+        const update = (key, value) => {
+            this._rule[key] = value;
+            this._saveRuleData();
+            this._updateLabels();
+        };
+
+        // --- Name and match fields ---
+        const matchGroup = new Adw.PreferencesGroup({
+            title: 'Match',
+            description: 'Empty fields are ignored; all filled-in fields must match. The first matching rule is used.',
+        });
+        page.add(matchGroup);
+
+        const nameRow = new Adw.EntryRow({ title: 'Rule Name', text: this._rule.name });
+        nameRow.connect('changed', () => {
+            update('name', nameRow.get_text());
+            dialog.set_title(this._rule.name || `Rule ${this._ruleIndex + 1}`);
+        });
+        matchGroup.add(nameRow);
+
+        const matchFields = [
+            ['wmClass', 'Window Class (WM_CLASS)'],
+            ['appId', 'Application ID (e.g. org.gnome.Terminal)'],
+            ['title', 'Title (regular expression)'],
+            ['role', 'Window Role (X11)'],
+        ];
+        for (const [key, label] of matchFields) {
+            const entryRow = new Adw.EntryRow({ title: label, text: this._rule[key] });
+            entryRow.connect('changed', () => {
+                const text = entryRow.get_text().trim();
+                if (key === 'title') {
+                    // Invalid patterns are ignored by the extension: flag them here
+                    let valid = true;
+                    try {
+                        new RegExp(text);
+                    } catch (e) {
+                        valid = false;
+                    }
+                    if (valid) {
+                        entryRow.remove_css_class('error');
+                    } else {
+                        entryRow.add_css_class('error');
+                    }
+                }
+                update(key, text);
+            });
+            matchGroup.add(entryRow);
+        }
+
+        // --- Placement ---
+        const placementGroup = new Adw.PreferencesGroup({
+            title: 'Placement',
+            description: 'A workspace wins over the monitor: the window opens on the monitor showing that workspace, or hidden on it.',
+        });
+        page.add(placementGroup);
+
+        const wsLabels = ['Keep'];
+        for (let i = 0; i < count; i++) {
+            const name = getWorkspaceName(this._settings.get_strv('workspace-names'), i);
+            wsLabels.push(name ? `WS ${i + 1}: ${name}` : `WS ${i + 1}`);
+        }
+        const wsRow = new Adw.ComboRow({
+            title: 'Workspace',
+            model: Gtk.StringList.new(wsLabels),
+            selected: this._rule.workspace >= 0 && this._rule.workspace < count ? this._rule.workspace + 1 : 0,
+        });
+        wsRow.connect('notify::selected', () => update('workspace', wsRow.get_selected() - 1));
+        placementGroup.add(wsRow);
+
+        const nMonitors = Math.max(Gdk.Display.get_default()?.get_monitors().get_n_items() ?? 1, this._rule.monitor + 1);
+        const monitorLabels = ['Keep'];
+        for (let i = 0; i < nMonitors; i++) {
+            monitorLabels.push(`Monitor ${i}`);
+        }
+        const monitorRow = new Adw.ComboRow({
+            title: 'Monitor',
+            subtitle: 'Used without a workspace, or where Follow shows the workspace',
+            model: Gtk.StringList.new(monitorLabels),
+            selected: this._rule.monitor + 1,
+        });
+        monitorRow.connect('notify::selected', () => update('monitor', monitorRow.get_selected() - 1));
+        placementGroup.add(monitorRow);
+
+        // Overrides workspace and monitor: the window opens hidden until its scratchpad is toggled
+        const scratchpadRow = new Adw.EntryRow({
+            title: 'Scratchpad (name, e.g. "default" for the toggle key)',
+            text: this._rule.scratchpad,
+        });
+        scratchpadRow.connect('changed', () => update('scratchpad', scratchpadRow.get_text().trim()));
+        placementGroup.add(scratchpadRow);
+
+        // --- Floating geometry ---
+        const geometryGroup = new Adw.PreferencesGroup({
+            title: 'Geometry',
+        });
+        page.add(geometryGroup);
+
+        const floatingRow = new Adw.SwitchRow({
+            title: 'Floating',
+            subtitle: 'Keep out of tiling, unmaximize and use the position and size below',
+            active: this._rule.floating,
+        });
+        floatingRow.connect('notify::active', () => update('floating', floatingRow.get_active()));
+        geometryGroup.add(floatingRow);
+
+        const geometryFields = [
+            ['x', 'X', 'Relative to the monitor, -1 to keep', -1],
+            ['y', 'Y', 'Relative to the monitor, -1 to keep', -1],
+            ['width', 'Width', '0 to keep', 0],
+            ['height', 'Height', '0 to keep', 0],
+        ];
+        for (const [key, label, subtitle, lower] of geometryFields) {
+            const spinRow = Adw.SpinRow.new_with_range(lower, 16384, 1);
+            spinRow.set_title(label);
+            spinRow.set_subtitle(subtitle);
+            spinRow.set_value(this._rule[key]);
+            floatingRow.bind_property('active', spinRow, 'sensitive', GObject.BindingFlags.SYNC_CREATE);
+            spinRow.connect('notify::value', () => update(key, Math.round(spinRow.get_value())));
+            geometryGroup.add(spinRow);
+        }
+
+        // --- Behavior ---
+        const behaviorGroup = new Adw.PreferencesGroup({
+            title: 'Behavior',
+        });
+        page.add(behaviorGroup);
+
+        const followRow = new Adw.SwitchRow({
+            title: 'Follow',
+            subtitle: 'Show the workspace (or move the pointer to the monitor) the window opens on',
+            active: this._rule.follow,
+        });
+        followRow.connect('notify::active', () => update('follow', followRow.get_active()));
+        behaviorGroup.add(followRow);
+
+        const noFocusRow = new Adw.SwitchRow({
+            title: 'Don\'t Steal Focus',
+            subtitle: 'Keep focus on the current window',
+            active: this._rule.noFocus,
+        });
+        noFocusRow.connect('notify::active', () => update('noFocus', noFocusRow.get_active()));
+        behaviorGroup.add(noFocusRow);
+
+        // Close button
+        const closeBtn = new Gtk.Button({
+            label: 'Close',
+            halign: Gtk.Align.END,
+        });
+        closeBtn.connect('clicked', () => {
+            dialog.close();
+        });
+        mainBox.append(closeBtn);
+
+        dialog.set_child(mainBox);
+        dialog.present(parentWindow);
+    }
+});
+
 export default class MultiMonitorsWorkspacePreferences extends ExtensionPreferences {
     fillPreferencesWindow(window) {
         const settings = this.getSettings();
@@ -643,6 +1205,33 @@ export default class MultiMonitorsWorkspacePreferences extends ExtensionPreferen
             Gio.SettingsBindFlags.DEFAULT
         );
 
+        // Indicator mode selector
+        const indicatorModes = [
+            ['monitors', 'One Box per Monitor'],
+            ['workspaces', 'All Workspaces'],
+        ];
+        const indicatorModeRow = new Adw.ComboRow({
+            title: 'Indicator Mode',
+            subtitle: 'All Workspaces tags visible ones with their monitor\'s color and dims empty ones',
+            model: Gtk.StringList.new(indicatorModes.map(([, label]) => label)),
+        });
+        const currentMode = indicatorModes.findIndex(([id]) => id === settings.get_string('indicator-mode'));
+        indicatorModeRow.set_selected(currentMode >= 0 ? currentMode : 0);
+        indicatorModeRow.connect('notify::selected', () => {
+            settings.set_string('indicator-mode', indicatorModes[indicatorModeRow.get_selected()][0]);
+        });
+        indicatorRow.bind_property('active', indicatorModeRow, 'sensitive', GObject.BindingFlags.SYNC_CREATE);
+        behaviorGroup.add(indicatorModeRow);
+
+        // Indicator hover preview toggle
+        const indicatorPreviewRow = new Adw.SwitchRow({
+            title: 'Preview Windows on Hover',
+            subtitle: 'Hovering an indicator box lists the windows of its workspace',
+        });
+        settings.bind('indicator-window-preview', indicatorPreviewRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        indicatorRow.bind_property('active', indicatorPreviewRow, 'sensitive', GObject.BindingFlags.SYNC_CREATE);
+        behaviorGroup.add(indicatorPreviewRow);
+
         // Warp pointer toggle
         const warpPointerRow = new Adw.SwitchRow({
             title: 'Warp Pointer to Focus',
@@ -688,6 +1277,33 @@ export default class MultiMonitorsWorkspacePreferences extends ExtensionPreferen
             warpToWsRow.set_active(settings.get_string('workspace-switch-mode') === 'warp');
         });
 
+        // Automatic back-and-forth toggle
+        const backAndForthRow = new Adw.SwitchRow({
+            title: 'Automatic Back-and-Forth',
+            subtitle: 'Pressing the key of the workspace already shown goes back to the previous one',
+        });
+        behaviorGroup.add(backAndForthRow);
+
+        settings.bind(
+            'workspace-auto-back-and-forth',
+            backAndForthRow,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        // Number of workspaces
+        const workspaceCountRow = Adw.SpinRow.new_with_range(1, MAX_WORKSPACES, 1);
+        workspaceCountRow.set_title('Number of Workspaces');
+        workspaceCountRow.set_subtitle('Workspaces with keybindings, indicator labels and wallpaper options');
+        behaviorGroup.add(workspaceCountRow);
+
+        settings.bind(
+            'workspace-count',
+            workspaceCountRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
         // Popup banner toggle
         const popupBannerRow = new Adw.SwitchRow({
             title: 'Popup Banner',
@@ -702,6 +1318,108 @@ export default class MultiMonitorsWorkspacePreferences extends ExtensionPreferen
             Gio.SettingsBindFlags.DEFAULT
         );
 
+        // Persist state toggle
+        const persistStateRow = new Adw.SwitchRow({
+            title: 'Remember Workspaces Across Restarts',
+            subtitle: 'Restore monitor workspaces and window placement after shell restart, logout or reboot',
+        });
+        behaviorGroup.add(persistStateRow);
+
+        settings.bind(
+            'persist-state',
+            persistStateRow,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        // Workspace names group
+        const namesGroup = new Adw.PreferencesGroup({
+            title: 'Workspace Names',
+            description: 'Shown in the popup banner and GNOME, and optionally in the indicator',
+        });
+        page.add(namesGroup);
+
+        const showNamesRow = new Adw.SwitchRow({
+            title: 'Show Names in Indicator',
+            subtitle: 'Show the workspace name instead of its number (unnamed workspaces keep their number)',
+        });
+        namesGroup.add(showNamesRow);
+
+        settings.bind(
+            'indicator-show-names',
+            showNamesRow,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        // One entry per workspace, rebuilt when the workspace count changes
+        let nameRows = [];
+        const buildNameRows = () => {
+            for (const row of nameRows) {
+                namesGroup.remove(row);
+            }
+            nameRows = [];
+
+            const count = settings.get_int('workspace-count');
+            const names = settings.get_strv('workspace-names');
+            for (let i = 0; i < count; i++) {
+                const row = new Adw.EntryRow({
+                    title: `Workspace ${i + 1}`,
+                    text: getWorkspaceName(names, i),
+                    show_apply_button: true,
+                });
+                row.connect('apply', () => {
+                    const newNames = settings.get_strv('workspace-names');
+                    while (newNames.length <= i) newNames.push('');
+                    newNames[i] = row.get_text().trim();
+                    // Drop trailing unnamed entries
+                    while (newNames.length > 0 && newNames[newNames.length - 1] === '') {
+                        newNames.pop();
+                    }
+                    settings.set_strv('workspace-names', newNames);
+                });
+                namesGroup.add(row);
+                nameRows.push(row);
+            }
+        };
+        buildNameRows();
+        settings.connect('changed::workspace-count', buildNameRows);
+
+        // Workspace cycling group
+        const cycleGroup = new Adw.PreferencesGroup({
+            title: 'Workspace Cycling',
+            description: 'Next/previous workspace on the monitor under the pointer: keybindings, scrolling over the indicator, touchpad gesture',
+        });
+        page.add(cycleGroup);
+
+        const cycleSwitches = [
+            ['workspace-cycle-wrap', 'Wrap Around', 'Continue at the first workspace after the last one'],
+            ['workspace-cycle-skip-visible', 'Skip Workspaces on Other Monitors', 'Pass over workspaces shown elsewhere instead of swapping them in'],
+            ['workspace-cycle-skip-empty', 'Skip Empty Workspaces', 'Pass over workspaces without windows'],
+        ];
+        for (const [key, title, subtitle] of cycleSwitches) {
+            const row = new Adw.SwitchRow({ title, subtitle });
+            cycleGroup.add(row);
+            settings.bind(key, row, 'active', Gio.SettingsBindFlags.DEFAULT);
+        }
+
+        const gestures = [
+            ['none', 'None'],
+            ['three-finger-horizontal', 'Three-Finger Horizontal Swipe'],
+            ['four-finger-horizontal', 'Four-Finger Horizontal Swipe'],
+        ];
+        const gestureRow = new Adw.ComboRow({
+            title: 'Touchpad Gesture',
+            subtitle: 'Three fingers replaces GNOME\'s own workspace swipe',
+            model: Gtk.StringList.new(gestures.map(([, label]) => label)),
+        });
+        const currentGesture = gestures.findIndex(([id]) => id === settings.get_string('workspace-cycle-gesture'));
+        gestureRow.set_selected(currentGesture >= 0 ? currentGesture : 0);
+        gestureRow.connect('notify::selected', () => {
+            settings.set_string('workspace-cycle-gesture', gestures[gestureRow.get_selected()][0]);
+        });
+        cycleGroup.add(gestureRow);
+
         // Keybindings group
         const keybindingsGroup = new Adw.PreferencesGroup({
             title: 'Keybindings',
@@ -712,7 +1430,9 @@ export default class MultiMonitorsWorkspacePreferences extends ExtensionPreferen
         // Modifier key selector
         const modifierRow = new Adw.ComboRow({
             title: 'Modifier Key',
-            subtitle: 'Mod+1~9,0: Switch workspace on current monitor\nMod+Shift+1~9,0: Move focused window to workspace',
+            subtitle: 'Mod+1~9,0: Switch workspace on current monitor\nMod+Shift+1~9,0: Move focused window to workspace\n' +
+                'Mod+Ctrl+Shift+1~9,0: Move focused window and follow it (Alt instead of Ctrl when Mod is not Alt)\n' +
+                'WS11-20: Mod+Super+1~9,0, WS21-32: Mod+Super+F1~F12 (Ctrl instead of Super when Mod is Super)',
         });
 
         const modifierModel = new Gtk.StringList();
@@ -735,6 +1455,41 @@ export default class MultiMonitorsWorkspacePreferences extends ExtensionPreferen
 
         keybindingsGroup.add(modifierRow);
 
+        // Next/previous workspace shortcuts
+        const switchNextRow = new ShortcutRow(
+            settings,
+            'mmw-switch-next',
+            'Next Workspace',
+            'Show the next workspace on this monitor'
+        );
+        keybindingsGroup.add(switchNextRow);
+
+        const switchPrevRow = new ShortcutRow(
+            settings,
+            'mmw-switch-prev',
+            'Previous Workspace in Order',
+            'Show the workspace before this one (by number) on this monitor'
+        );
+        keybindingsGroup.add(switchPrevRow);
+
+        // Previous workspace shortcut
+        const switchPreviousRow = new ShortcutRow(
+            settings,
+            'mmw-switch-previous',
+            'Switch to Previous Workspace',
+            'Show the workspace this monitor displayed before'
+        );
+        keybindingsGroup.add(switchPreviousRow);
+
+        // Workspace switcher shortcut
+        const workspaceSwitcherRow = new ShortcutRow(
+            settings,
+            'mmw-workspace-switcher',
+            'Workspace Switcher',
+            'Pick this monitor\'s workspace from thumbnails (arrows and Enter, or number keys)'
+        );
+        keybindingsGroup.add(workspaceSwitcherRow);
+
         // Cycle focus shortcuts
         const cycleFocusForwardRow = new ShortcutRow(
             settings,
@@ -757,7 +1512,7 @@ export default class MultiMonitorsWorkspacePreferences extends ExtensionPreferen
             settings,
             'mmw-swap-window-forward',
             'Swap Window Forward',
-            'Swap position/size with next window'
+            'Swap position/size with next window (next in layout order when tiled)'
         );
         keybindingsGroup.add(swapWindowForwardRow);
 
@@ -766,10 +1521,60 @@ export default class MultiMonitorsWorkspacePreferences extends ExtensionPreferen
             settings,
             'mmw-swap-window-backward',
             'Swap Window Backward',
-            'Swap position/size with previous window'
+            'Swap position/size with previous window (previous in layout order when tiled)'
         );
         keybindingsGroup.add(swapWindowBackwardRow);
 
+        // Directional focus and move section
+        const directionalGroup = new Adw.PreferencesGroup({
+            title: 'Directional Focus and Move',
+            description: 'Act on the nearest window in a direction; at a monitor edge, continue onto the adjacent monitor',
+        });
+        page.add(directionalGroup);
+
+        const directions = [
+            ['left', 'Left', 'to the left'],
+            ['right', 'Right', 'to the right'],
+            ['up', 'Up', 'above'],
+            ['down', 'Down', 'below'],
+        ];
+        for (const [direction, name, where] of directions) {
+            directionalGroup.add(new ShortcutRow(
+                settings,
+                `mmw-focus-${direction}`,
+                `Focus ${name}`,
+                `Focus the nearest window ${where}`
+            ));
+        }
+        for (const [direction, name, where] of directions) {
+            directionalGroup.add(new ShortcutRow(
+                settings,
+                `mmw-move-window-${direction}`,
+                `Move Window ${name}`,
+                `Swap with the nearest window ${where}, or move onto the monitor ${where}`
+            ));
+        }
+
+        // Scratchpad section
+        const scratchpadGroup = new Adw.PreferencesGroup({
+            title: 'Scratchpad',
+            description: 'Hidden floating windows that belong to no workspace, summoned onto the monitor under the pointer',
+        });
+        page.add(scratchpadGroup);
+
+        scratchpadGroup.add(new ShortcutRow(
+            settings,
+            'mmw-scratchpad-move',
+            'Move to Scratchpad',
+            'Hide the focused window in the scratchpad, or put a scratchpad window back on the workspace'
+        ));
+        scratchpadGroup.add(new ShortcutRow(
+            settings,
+            'mmw-scratchpad-toggle',
+            'Toggle Scratchpad',
+            'Show the next scratchpad window centered on this monitor, or hide it again'
+        ));
+
         // Warp pointer to monitor section
         const warpGroup = new Adw.PreferencesGroup({
             title: 'Warp Pointer to Monitor',
@@ -793,6 +1598,152 @@ export default class MultiMonitorsWorkspacePreferences extends ExtensionPreferen
             warpGroup.add(row);
         }
 
+        // Appearance group (overrides stylesheet.css)
+        const appearanceGroup = new Adw.PreferencesGroup({
+            title: 'Appearance',
+            description: 'Workspace indicator and popup banner. Unset values use the extension stylesheet, which follows the light or dark style of GNOME',
+        });
+        page.add(appearanceGroup);
+
+        const themeColors = [
+            ['theme-foreground-color', 'Text Color', 'Indicator and banner text'],
+            ['theme-background-color', 'Background Color', 'Indicator boxes and banner'],
+            ['theme-highlight-color', 'Highlight Color', 'Box of the monitor under the pointer (full bar: focused monitor)'],
+        ];
+        for (const [key, title, subtitle] of themeColors) {
+            const colorRow = new Adw.ActionRow({ title });
+            const colorButton = new Gtk.ColorButton({
+                valign: Gtk.Align.CENTER,
+                use_alpha: true,
+            });
+            const updateColor = () => {
+                const value = settings.get_string(key);
+                colorRow.set_subtitle(value ? subtitle : `${subtitle} (stylesheet default)`);
+                const color = new Gdk.RGBA();
+                if (value && color.parse(value)) colorButton.set_rgba(color);
+            };
+            colorButton.connect('color-set', () => {
+                settings.set_string(key, colorButton.get_rgba().to_string());
+            });
+
+            const resetButton = new Gtk.Button({
+                icon_name: 'edit-clear-symbolic',
+                tooltip_text: 'Use stylesheet default',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+            });
+            resetButton.connect('clicked', () => settings.set_string(key, ''));
+
+            updateColor();
+            settings.connect(`changed::${key}`, updateColor);
+            colorRow.add_suffix(colorButton);
+            colorRow.add_suffix(resetButton);
+            appearanceGroup.add(colorRow);
+        }
+
+        const themeSizes = [
+            ['theme-font-size', 0, 48, 'Font Size', 'Indicator label size in pixels, single row (0: stylesheet default)'],
+            ['theme-corner-radius', -1, 24, 'Corner Radius', 'Indicator box and banner corners in pixels (-1: stylesheet default)'],
+            ['theme-box-size', 0, 64, 'Box Size', 'Minimum indicator box size in pixels, single row (0: stylesheet default)'],
+        ];
+        for (const [key, lower, upper, title, subtitle] of themeSizes) {
+            const sizeRow = Adw.SpinRow.new_with_range(lower, upper, 1);
+            sizeRow.set_title(title);
+            sizeRow.set_subtitle(subtitle);
+            appearanceGroup.add(sizeRow);
+            settings.bind(key, sizeRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        }
+
+        // Popup Banner group
+        const bannerGroup = new Adw.PreferencesGroup({
+            title: 'Popup Banner',
+            description: 'Notification shown when switching workspace or display',
+        });
+        page.add(bannerGroup);
+
+        const bannerDurationRow = Adw.SpinRow.new_with_range(100, 10000, 100);
+        bannerDurationRow.set_title('Duration');
+        bannerDurationRow.set_subtitle('Milliseconds before the banner fades out');
+        bannerGroup.add(bannerDurationRow);
+        settings.bind('popup-banner-duration', bannerDurationRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+
+        const bannerPositions = [
+            ['upper-third', 'Upper Third'],
+            ['center', 'Center'],
+            ['top', 'Top'],
+            ['bottom', 'Bottom'],
+            ['top-left', 'Top Left'],
+            ['top-right', 'Top Right'],
+            ['bottom-left', 'Bottom Left'],
+            ['bottom-right', 'Bottom Right'],
+        ];
+        const bannerPositionRow = new Adw.ComboRow({
+            title: 'Position',
+            model: Gtk.StringList.new(bannerPositions.map(([, label]) => label)),
+        });
+        const currentPosition = bannerPositions.findIndex(([id]) => id === settings.get_string('popup-banner-position'));
+        bannerPositionRow.set_selected(currentPosition >= 0 ? currentPosition : 0);
+        bannerPositionRow.connect('notify::selected', () => {
+            settings.set_string('popup-banner-position', bannerPositions[bannerPositionRow.get_selected()][0]);
+        });
+        bannerGroup.add(bannerPositionRow);
+
+        const bannerOffsets = [
+            ['popup-banner-offset-x', 'Horizontal Offset', 'Pixels to the right of the position (negative: left)'],
+            ['popup-banner-offset-y', 'Vertical Offset', 'Pixels below the position (negative: above)'],
+        ];
+        for (const [key, title, subtitle] of bannerOffsets) {
+            const offsetRow = Adw.SpinRow.new_with_range(-4000, 4000, 10);
+            offsetRow.set_title(title);
+            offsetRow.set_subtitle(subtitle);
+            bannerGroup.add(offsetRow);
+            settings.bind(key, offsetRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        }
+
+        const bannerScaleRow = Adw.SpinRow.new_with_range(0.5, 3.0, 0.1);
+        bannerScaleRow.set_title('Scale');
+        bannerScaleRow.set_subtitle('Banner size relative to the stylesheet');
+        bannerScaleRow.set_digits(1);
+        bannerGroup.add(bannerScaleRow);
+        settings.bind('popup-banner-scale', bannerScaleRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+
+        const bannerTemplateRow = new Adw.EntryRow({
+            title: 'Text ({monitor} {monitor-name} {connector} {workspace} {name} {windows}; empty: icons)',
+            text: settings.get_string('popup-banner-template'),
+            show_apply_button: true,
+        });
+        bannerTemplateRow.connect('apply', () => {
+            settings.set_string('popup-banner-template', bannerTemplateRow.get_text());
+        });
+        bannerGroup.add(bannerTemplateRow);
+
+        const bannerMonitors = [
+            ['changed', 'Monitor That Changed'],
+            ['affected', 'Both Monitors of a Swap'],
+            ['all', 'All Monitors'],
+        ];
+        const bannerMonitorsRow = new Adw.ComboRow({
+            title: 'Show On',
+            subtitle: 'Each monitor shows its own workspace',
+            model: Gtk.StringList.new(bannerMonitors.map(([, label]) => label)),
+        });
+        const currentMonitors = bannerMonitors.findIndex(([id]) => id === settings.get_string('popup-banner-monitors'));
+        bannerMonitorsRow.set_selected(currentMonitors >= 0 ? currentMonitors : 0);
+        bannerMonitorsRow.connect('notify::selected', () => {
+            settings.set_string('popup-banner-monitors', bannerMonitors[bannerMonitorsRow.get_selected()][0]);
+        });
+        bannerGroup.add(bannerMonitorsRow);
+
+        const bannerWindowListRow = new Adw.SwitchRow({
+            title: 'List Windows',
+            subtitle: 'Show the app icon and title of each window of the workspace',
+        });
+        bannerGroup.add(bannerWindowListRow);
+        settings.bind('popup-banner-window-list', bannerWindowListRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+
+        // Banner options only matter while the banner is on
+        popupBannerRow.bind_property('active', bannerGroup, 'sensitive', GObject.BindingFlags.SYNC_CREATE);
+
         // Window Highlight group
         const windowHighlightGroup = new Adw.PreferencesGroup({
             title: 'Window Highlight',
@@ -999,10 +1950,19 @@ export default class MultiMonitorsWorkspacePreferences extends ExtensionPreferen
             Gio.SettingsBindFlags.DEFAULT
         );
 
+        // Next slideshow image shortcut
+        const wallpaperNextRow = new ShortcutRow(
+            settings,
+            'mmw-wallpaper-next',
+            'Next Wallpaper',
+            'Show the next slideshow image on the monitor under the pointer'
+        );
+        wallpapersEnableGroup.add(wallpaperNextRow);
+
         // Wallpaper groups
         const wallpaperGroupsContainer = new Adw.PreferencesGroup({
             title: 'Wallpaper Groups',
-            description: 'Configure wallpapers for specific workspaces. Unassigned workspaces use the system wallpaper.',
+            description: 'Configure wallpapers for specific workspaces. A folder instead of an image makes a slideshow. Unassigned workspaces use the system wallpaper.',
         });
         wallpapersPage.add(wallpaperGroupsContainer);
 
@@ -1079,5 +2039,251 @@ export default class MultiMonitorsWorkspacePreferences extends ExtensionPreferen
         addGroupRow.connect('activated', () => addGroup());
 
         wallpaperGroupsContainer.add(addGroupRow);
+
+        // ===========================================
+        // Tiling Page
+        // ===========================================
+        const tilingPage = new Adw.PreferencesPage({
+            title: 'Tiling',
+            icon_name: 'view-grid-symbolic',
+        });
+        window.add(tilingPage);
+
+        const tilingGroup = new Adw.PreferencesGroup({
+            title: 'Tiling',
+            description: 'Arrange windows automatically when they open, close or move, and when workspaces change',
+        });
+        tilingPage.add(tilingGroup);
+
+        const enableTilingRow = new Adw.SwitchRow({
+            title: 'Enable Tiling',
+            subtitle: 'Workspaces with the Floating layout are left alone',
+        });
+        tilingGroup.add(enableTilingRow);
+
+        settings.bind(
+            'enable-tiling',
+            enableTilingRow,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        // Default layout
+        const layoutLabels = LAYOUTS.map(l => l.label);
+        const defaultLayoutRow = new Adw.ComboRow({
+            title: 'Default Layout',
+            subtitle: 'Used by workspaces without their own layout',
+            model: Gtk.StringList.new(layoutLabels),
+        });
+        const currentLayout = LAYOUTS.findIndex(l => l.id === settings.get_string('tiling-default-layout'));
+        defaultLayoutRow.set_selected(currentLayout >= 0 ? currentLayout : 0);
+        defaultLayoutRow.connect('notify::selected', () => {
+            settings.set_string('tiling-default-layout', LAYOUTS[defaultLayoutRow.get_selected()].id);
+        });
+        tilingGroup.add(defaultLayoutRow);
+
+        const masterRatioRow = Adw.SpinRow.new_with_range(0.1, 0.9, 0.05);
+        masterRatioRow.set_title('Master Ratio');
+        masterRatioRow.set_subtitle('Share of the monitor given to the master area');
+        masterRatioRow.set_digits(2);
+        tilingGroup.add(masterRatioRow);
+        settings.bind('tiling-master-ratio', masterRatioRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+
+        const masterCountRow = Adw.SpinRow.new_with_range(0, 10, 1);
+        masterCountRow.set_title('Master Count');
+        masterCountRow.set_subtitle('Windows in the master area');
+        tilingGroup.add(masterCountRow);
+        settings.bind('tiling-master-count', masterCountRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+
+        const gapRow = Adw.SpinRow.new_with_range(0, 64, 1);
+        gapRow.set_title('Gap');
+        gapRow.set_subtitle('Pixels between windows and around the edges');
+        tilingGroup.add(gapRow);
+        settings.bind('tiling-gap', gapRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+
+        // Per-workspace layouts (rebuilt when the workspace count changes)
+        const wsLayoutsGroup = new Adw.PreferencesGroup({
+            title: 'Workspace Layouts',
+            description: 'Master ratio and count changed with the keybindings are also kept per workspace',
+        });
+        tilingPage.add(wsLayoutsGroup);
+
+        const readTilingWorkspaces = () => {
+            try {
+                const parsed = JSON.parse(settings.get_string('tiling-workspaces'));
+                return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+            } catch (e) {
+                return {};
+            }
+        };
+
+        let wsLayoutRows = [];
+        const rebuildWsLayoutRows = () => {
+            for (const row of wsLayoutRows) {
+                wsLayoutsGroup.remove(row);
+            }
+            wsLayoutRows = [];
+
+            const count = settings.get_int('workspace-count');
+            const names = settings.get_strv('workspace-names');
+            const tilingWorkspaces = readTilingWorkspaces();
+            for (let i = 0; i < count; i++) {
+                const wsIndex = i;
+                const name = getWorkspaceName(names, i);
+                const row = new Adw.ComboRow({
+                    title: name ? `Workspace ${i + 1}: ${name}` : `Workspace ${i + 1}`,
+                    model: Gtk.StringList.new(['Default', ...layoutLabels]),
+                });
+                const layoutIndex = LAYOUTS.findIndex(l => l.id === tilingWorkspaces[i]?.layout);
+                row.set_selected(layoutIndex + 1);
+                row.connect('notify::selected', () => {
+                    const all = readTilingWorkspaces();
+                    const selected = row.get_selected();
+                    const entry = { ...all[wsIndex] };
+                    if (selected === 0) {
+                        delete entry.layout;
+                    } else {
+                        entry.layout = LAYOUTS[selected - 1].id;
+                    }
+                    all[wsIndex] = entry;
+                    settings.set_string('tiling-workspaces', JSON.stringify(all));
+                });
+                wsLayoutRows.push(row);
+                wsLayoutsGroup.add(row);
+            }
+        };
+        rebuildWsLayoutRows();
+        settings.connect('changed::workspace-count', () => rebuildWsLayoutRows());
+
+        // Tiling keybindings
+        const tilingKeysGroup = new Adw.PreferencesGroup({
+            title: 'Tiling Keybindings',
+            description: 'Act on the workspace of the monitor under the pointer',
+        });
+        tilingPage.add(tilingKeysGroup);
+
+        const tilingShortcuts = [
+            ['mmw-cycle-layout', 'Cycle Layout', 'Switch to the next layout'],
+            ['mmw-master-ratio-increase', 'Grow Master Area', 'Increase the master ratio'],
+            ['mmw-master-ratio-decrease', 'Shrink Master Area', 'Decrease the master ratio'],
+            ['mmw-master-count-increase', 'More Master Windows', 'Put one more window in the master area'],
+            ['mmw-master-count-decrease', 'Fewer Master Windows', 'Put one window less in the master area'],
+            ['mmw-toggle-floating', 'Toggle Floating', 'Take the focused window out of tiling, or put it back'],
+        ];
+        for (const [key, title, subtitle] of tilingShortcuts) {
+            tilingKeysGroup.add(new ShortcutRow(settings, key, title, subtitle));
+        }
+
+        // Frame keybindings (only act on workspaces using the Frames layout)
+        const frameKeysGroup = new Adw.PreferencesGroup({
+            title: 'Frame Keybindings',
+            description: 'For workspaces using the Frames (Manual) layout: split the focused frame, then new windows open in the focused frame',
+        });
+        tilingPage.add(frameKeysGroup);
+
+        const frameShortcuts = [
+            ['mmw-frame-split-horizontal', 'Split Horizontally', 'Split the focused frame into two frames side by side'],
+            ['mmw-frame-split-vertical', 'Split Vertically', 'Split the focused frame into two stacked frames'],
+            ['mmw-frame-remove', 'Remove Frame', 'Remove the focused frame; its windows move to the neighboring frame'],
+            ['mmw-frame-focus-left', 'Focus Left', 'Focus the frame to the left'],
+            ['mmw-frame-focus-right', 'Focus Right', 'Focus the frame to the right'],
+            ['mmw-frame-focus-up', 'Focus Up', 'Focus the frame above'],
+            ['mmw-frame-focus-down', 'Focus Down', 'Focus the frame below'],
+            ['mmw-frame-resize-left', 'Move Edge Left', 'Move the nearest vertical frame edge left'],
+            ['mmw-frame-resize-right', 'Move Edge Right', 'Move the nearest vertical frame edge right'],
+            ['mmw-frame-resize-up', 'Move Edge Up', 'Move the nearest horizontal frame edge up'],
+            ['mmw-frame-resize-down', 'Move Edge Down', 'Move the nearest horizontal frame edge down'],
+        ];
+        for (const [key, title, subtitle] of frameShortcuts) {
+            frameKeysGroup.add(new ShortcutRow(settings, key, title, subtitle));
+        }
+
+        // ===========================================
+        // App Rules Page
+        // ===========================================
+        const rulesPage = new Adw.PreferencesPage({
+            title: 'App Rules',
+            icon_name: 'application-x-executable-symbolic',
+        });
+        window.add(rulesPage);
+
+        const rulesContainer = new Adw.PreferencesGroup({
+            title: 'Application Rules',
+            description: 'Send new windows to a workspace or monitor. Rules are checked from the top; the first match is used.',
+        });
+        rulesPage.add(rulesContainer);
+
+        // Track rule rows for rebuilding
+        let ruleRows = [];
+
+        const rebuildRuleRows = () => {
+            for (const row of ruleRows) {
+                rulesContainer.remove(row);
+            }
+            ruleRows = [];
+
+            const rules = parseRules(settings.get_string('app-rules'));
+            for (let i = 0; i < rules.length; i++) {
+                const row = new AppRuleRow(
+                    settings,
+                    i,
+                    (index) => deleteRule(index),
+                    (index, delta) => moveRule(index, delta)
+                );
+                ruleRows.push(row);
+                rulesContainer.add(row);
+            }
+
+            // Keep the add row last
+            if (addRuleRow) {
+                rulesContainer.remove(addRuleRow);
+                rulesContainer.add(addRuleRow);
+            }
+        };
+
+        const deleteRule = (index) => {
+            const rules = parseRules(settings.get_string('app-rules'));
+            rules.splice(index, 1);
+            settings.set_string('app-rules', JSON.stringify(rules));
+            rebuildRuleRows();
+        };
+
+        const moveRule = (index, delta) => {
+            const rules = parseRules(settings.get_string('app-rules'));
+            const target = index + delta;
+            if (target < 0 || target >= rules.length) return;
+            [rules[index], rules[target]] = [rules[target], rules[index]];
+            settings.set_string('app-rules', JSON.stringify(rules));
+            rebuildRuleRows();
+        };
+
+        const addRule = () => {
+            const rules = parseRules(settings.get_string('app-rules'));
+            rules.push({ ...DEFAULT_RULE });
+            settings.set_string('app-rules', JSON.stringify(rules));
+            rebuildRuleRows();
+            ruleRows[ruleRows.length - 1]._openSettingsDialog();
+        };
+
+        let addRuleRow = null;
+        rebuildRuleRows();
+
+        // Add rule button
+        addRuleRow = new Adw.ActionRow({
+            title: 'Add Rule',
+            subtitle: 'Match windows by class, application ID, title or role',
+            activatable: true,
+        });
+
+        const addRuleBtn = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['suggested-action'],
+        });
+        addRuleBtn.connect('clicked', () => addRule());
+        addRuleRow.add_suffix(addRuleBtn);
+        addRuleRow.connect('activated', () => addRule());
+
+        rulesContainer.add(addRuleRow);
     }
 }